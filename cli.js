@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * 3D Forge CLI - Batch prompt-to-model generation
+ *
+ *   npm run forge -- generate prompts.txt --format glb --out ./assets
+ *   cat prompts.txt | npm run forge -- generate --format stl
+ *
+ * Prompts are read one per line (blank lines and # comments skipped) and run
+ * through the same prompt, validator, sandbox limits and repair loop as the
+ * server. Each success is written as <nn>-<slug>.<ext>; manifest.json records
+ * the code, model, timing and error of every prompt.
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+import { createProviderRegistry, DEFAULT_PARAMS } from './server/providers.js';
+import { generateModel, parseRepairLimit } from './server/generation.js';
+import { HEADLESS_FORMATS } from './server/headless.js';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run forge -- generate [file] [options]
+
+Reads prompts from file (or stdin when omitted or "-"), one per line.
+
+Options:
+  -f, --format <name>   ${Object.keys(HEADLESS_FORMATS).join(', ')} (default glb)
+  -o, --out <dir>       Output directory (default ./forge-output)
+  -m, --model <id>      Model as <provider>:<model> (default from .env)
+      --scale <n>       Uniform scale applied to every model
+      --up-axis <y|z>   Up axis, where the format allows a choice
+      --thumbnail       Also write a PNG preview next to each model
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'glb' },
+    out: { type: 'string', short: 'o', default: './forge-output' },
+    model: { type: 'string', short: 'm' },
+    scale: { type: 'string' },
+    'up-axis': { type: 'string' },
+    thumbnail: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Longest prompt excerpt kept in output file names
+const MAX_SLUG_LENGTH = 40;
+
+/**
+ * Split a prompts file into prompts
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePrompts(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * @param {string} prompt
+ * @returns {string} - File-name-safe excerpt
+ */
+function slugify(prompt) {
+    const slug = prompt
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return slug || 'model';
+}
+
+/**
+ * @param {string} [file] - Path, or "-"/undefined for stdin
+ * @returns {Promise<string>}
+ */
+async function readInput(file) {
+    if (file && file !== '-') {
+        return fs.readFile(file, 'utf8');
+    }
+    if (process.stdin.isTTY) {
+        throw new Error('No prompts file given and nothing piped to stdin');
+    }
+
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text;
+}
+
+/**
+ * Check the command-line options and turn them into render options
+ * @param {object} values - parseArgs() values
+ * @returns {{format: string, scale?: number, upAxis?: string, thumbnail: object|null}}
+ * @throws {Error}
+ */
+function renderOptionsFrom(values) {
+    if (!Object.hasOwn(HEADLESS_FORMATS, values.format)) {
+        throw new Error(`--format must be one of: ${Object.keys(HEADLESS_FORMATS).join(', ')}`);
+    }
+
+    let scale;
+    if (values.scale !== undefined) {
+        scale = Number(values.scale);
+        if (!(scale > 0) || !Number.isFinite(scale)) {
+            throw new Error('--scale must be a positive number');
+        }
+    }
+
+    const upAxis = values['up-axis'];
+    if (upAxis !== undefined && upAxis !== 'y' && upAxis !== 'z') {
+        throw new Error("--up-axis must be 'y' or 'z'");
+    }
+
+    return { format: values.format, scale, upAxis, thumbnail: values.thumbnail ? { size: 256 } : null };
+}
+
+/**
+ * Generate a model for every prompt and write the files and manifest
+ * @param {string[]} args - Arguments after "generate"
+ * @returns {Promise<number>} - Exit code
+ */
+async function generate(args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length > 1) {
+        throw new Error('Give at most one prompts file');
+    }
+
+    const render = renderOptionsFrom(values);
+
+    const providers = createProviderRegistry(process.env);
+    const target = providers.resolve(values.model);
+    if (!target) {
+        throw new Error(values.model ? `Unknown model: ${values.model}` : 'No LLM provider configured');
+    }
+    const modelId = `${target.provider.id}:${target.model}`;
+
+    const prompts = parsePrompts(await readInput(positionals[0]));
+    if (prompts.length === 0) {
+        throw new Error('No prompts found');
+    }
+
+    const maxRepairAttempts = parseRepairLimit(process.env.MAX_REPAIR_ATTEMPTS);
+    const outDir = path.resolve(values.out);
+    await fs.mkdir(outDir, { recursive: true });
+
+    const digits = String(prompts.length).length;
+    const items = [];
+
+    // One at a time: providers rate-limit, and each render already has a worker to itself
+    for (const [index, prompt] of prompts.entries()) {
+        const name = `${String(index + 1).padStart(digits, '0')}-${slugify(prompt)}`;
+        const started = Date.now();
+        const item = { prompt, file: null, thumbnail: null, code: null, model: modelId, attempts: 0, durationMs: 0, error: null };
+        items.push(item);
+
+        process.stderr.write(`[${index + 1}/${prompts.length}] ${prompt} ... `);
+
+        try {
+            const { code, attempts, result, error } = await generateModel(target, prompt, {
+                params: DEFAULT_PARAMS,
+                render: { ...render, filename: name },
+                maxRepairAttempts
+            });
+            item.code = code;
+            item.attempts = attempts;
+            if (error) throw error;
+
+            await fs.writeFile(path.join(outDir, result.filename), result.data);
+            item.file = result.filename;
+            if (result.thumbnail) {
+                item.thumbnail = `${name}.png`;
+                await fs.writeFile(path.join(outDir, item.thumbnail), result.thumbnail);
+            }
+        } catch (error) {
+            item.error = error.message;
+        }
+
+        item.durationMs = Date.now() - started;
+        process.stderr.write(item.error ? `failed: ${item.error}\n` : `${item.file} (${item.durationMs} ms)\n`);
+    }
+
+    const failed = items.filter(item => item.error).length;
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        model: modelId,
+        format: render.format,
+        succeeded: items.length - failed,
+        failed,
+        items
+    };
+    await fs.writeFile(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+
+    process.stderr.write(`${manifest.succeeded} of ${items.length} generated; manifest at ${path.join(outDir, 'manifest.json')}\n`);
+    return failed > 0 ? 1 : 0;
+}
+
+const COMMANDS = { generate };
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (command === '--help' || command === '-h') {
+    console.log(USAGE);
+    process.exit(0);
+}
+if (!COMMANDS[command]) {
+    console.error(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+    process.exit(1);
+}
+
+try {
+    process.exitCode = await COMMANDS[command](rest);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -1,104 +1,327 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import path from 'path';
+import { createProviderRegistry, DEFAULT_PARAMS, ProviderError } from './server/providers.js';
+import { ProjectStore } from './server/storage.js';
+import { createProjectRouter } from './server/projects.js';
+import { AssetStore, createAssetRouter } from './server/assets.js';
+import { renderHeadless, HEADLESS_FORMATS } from './server/headless.js';
+import { buildMessages, extractCode, generateModel, parseRepairLimit, promptChars, PROMPT_VERSION } from './server/generation.js';
+import { ResponseCache, cacheKey, normalizePrompt } from './server/cache.js';
+import { rateLimit, requireToken, limitPromptLength } from './server/guards.js';
+import { validateReferenceImage } from './server/images.js';
+import { UsageLedger, createUsageRouter } from './server/usage.js';
+import { SandboxError } from './src/utils/errors.js';
+import { MAX_LAYOUT_OBJECTS } from './src/utils/layout.js';
 
 dotenv.config();
 
+const providers = createProviderRegistry(process.env);
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const projects = new ProjectStore(path.join(DATA_DIR, 'projects.json'));
+const assets = new AssetStore(path.join(DATA_DIR, 'assets'));
+
+// Model responses reused for repeated requests (0 hours turns storing off)
+const CACHE_TTL_HOURS = Number(process.env.CACHE_TTL_HOURS ?? 24);
+const cache = new ResponseCache(path.join(DATA_DIR, 'cache'), {
+    ttlMs: (Number.isFinite(CACHE_TTL_HOURS) ? CACHE_TTL_HOURS : 24) * 60 * 60 * 1000
+});
+
+// Tokens, cost and outcome of every model call; MODEL_PRICES prices models
+// whose provider reports no cost, as { "<model id>": { "input": usd, "output": usd } } per million tokens
+const usage = new UsageLedger(path.join(DATA_DIR, 'usage.jsonl'), { prices: parsePrices(process.env.MODEL_PRICES) });
+
+// Largest model file accepted for import
+const MAX_ASSET_BYTES = (Number(process.env.MAX_IMPORT_MB) || 25) * 1024 * 1024;
+
+// Largest reference image accepted with a prompt
+const MAX_IMAGE_BYTES = (Number(process.env.MAX_IMAGE_MB) || 4) * 1024 * 1024;
+
 const app = express();
 const PORT = 3001;
 
+// Longest prompt accepted, in characters
+const MAX_PROMPT_CHARS = Number(process.env.MAX_PROMPT_CHARS) || 4000;
+
+// Longest prompt once history, the code being edited or repaired and the
+// scene layout are added to it, in characters
+const MAX_CONTEXT_CHARS = Number(process.env.MAX_CONTEXT_CHARS) || 48000;
+
+// Routes that spend model tokens: optional bearer token, and requests per client per window
+const guardGeneration = [
+    rateLimit({
+        limit: Number(process.env.RATE_LIMIT ?? 20),
+        windowMs: (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000
+    }),
+    requireToken(process.env.API_TOKEN)
+];
+
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// System prompt for Three.js code generation
-const SYSTEM_PROMPT = `You are a Three.js code generator. Given a description of a 3D object, generate ONLY valid JavaScript code that creates the object using Three.js.
-
-STRICT RULES:
-1. Use only these geometries: BoxGeometry, SphereGeometry, CylinderGeometry, ConeGeometry, TorusGeometry, TorusKnotGeometry, PlaneGeometry, RingGeometry, DodecahedronGeometry, IcosahedronGeometry, OctahedronGeometry, TetrahedronGeometry
-2. Use only these materials: MeshStandardMaterial, MeshPhongMaterial, MeshLambertMaterial, MeshBasicMaterial
-3. You can use THREE.Group to combine multiple meshes
-4. Return a function named 'createObject' that returns a THREE.Object3D, THREE.Mesh, or THREE.Group
-5. No external dependencies, no async code, no fetch calls, no imports
-6. Use hexadecimal colors (0xRRGGBB format)
-7. Set proper position, rotation, scale as needed
-8. For complex objects, break them into multiple meshes and group them
-
-OUTPUT FORMAT (EXACTLY):
-\`\`\`javascript
-function createObject() {
-    // Create geometry and material
-    // Create mesh(es)
-    // Position and configure
-    return object; // Must return THREE.Object3D, THREE.Mesh, or THREE.Group
+// Any origin by default; CORS_ORIGINS restricts it to a comma-separated list
+const corsOrigins = process.env.CORS_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins?.length ? { origin: corsOrigins } : undefined));
+// Room for a base64 reference image on top of the usual 2 MB, only where images are accepted;
+// whichever parser runs first handles the body
+app.use(['/api/generate', '/api/generate/stream'], express.json({ limit: Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 2 * 1024 * 1024 }));
+app.use(express.json({ limit: '2mb' }));
+
+// How many times the client may send failing code back for a fix
+const MAX_REPAIR_ATTEMPTS = parseRepairLimit(process.env.MAX_REPAIR_ATTEMPTS);
+
+// Most candidates the client asks for at once in variations mode
+const MAX_VARIATIONS = 4;
+
+// Longest object name in a scene layout (the count limit is shared with the page)
+const MAX_SCENE_NAME_LENGTH = 100;
+
+/**
+ * @param {string|undefined} value - MODEL_PRICES JSON
+ * @returns {object} - Prices by model id; empty if unset or malformed
+ */
+function parsePrices(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('Ignoring MODEL_PRICES:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Log a model call; a ledger failure is reported but never fails the request
+ * @param {object} call - See UsageLedger.record()
+ * @returns {Promise<object|null>} - The entry, or null if it couldn't be recorded
+ */
+function recordUsage(call) {
+    return usage.record(call).catch((error) => {
+        console.error('Usage ledger error:', error);
+        return null;
+    });
+}
+
+/**
+ * The part of a usage entry sent back with a generation
+ * @param {object|null} entry - From recordUsage()
+ * @returns {{id: string, promptTokens: number, completionTokens: number, totalTokens: number, cost: number|null, latencyMs: number, cached: boolean}|null}
+ */
+function usageSummary(entry) {
+    if (!entry) return null;
+    const { id, promptTokens, completionTokens, totalTokens, cost, latencyMs, cached } = entry;
+    return { id, promptTokens, completionTokens, totalTokens, cost, latencyMs, cached };
+}
+
+/**
+ * Check the body of a generation request
+ * @param {object} body - Parsed JSON request body
+ * @returns {string|null} - Error message, or null if the request is usable
+ */
+function validateGenerateRequest(body) {
+    const { message, currentCode, repair, model, params, image, fresh, variant, scene } = body;
+
+    if (!message) {
+        return 'Message is required';
+    }
+
+    if (typeof message !== 'string') {
+        return 'Message must be a string';
+    }
+
+    if (model !== undefined && !providers.resolve(model)) {
+        return `Unknown model: ${model}`;
+    }
+
+    if (params !== undefined) {
+        const paramsError = validateParams(params);
+        if (paramsError) return paramsError;
+    }
+
+    if (currentCode !== undefined && typeof currentCode !== 'string') {
+        return 'currentCode must be a string';
+    }
+
+    if (fresh !== undefined && typeof fresh !== 'boolean') {
+        return 'fresh must be a boolean';
+    }
+
+    if (variant !== undefined && !(Number.isInteger(variant) && variant >= 0 && variant < MAX_VARIATIONS)) {
+        return `variant must be an integer from 0 to ${MAX_VARIATIONS - 1}`;
+    }
+
+    if (scene !== undefined) {
+        const sceneError = validateScene(scene);
+        if (sceneError) return sceneError;
+    }
+
+    if (image !== undefined) {
+        const imageError = validateReferenceImage(image, { maxBytes: MAX_IMAGE_BYTES });
+        if (imageError) return imageError;
+
+        if (!providers.acceptsImages(model)) {
+            return `${model ?? providers.defaultModel} does not accept images; pick a vision model or remove the image`;
+        }
+    }
+
+    if (repair !== undefined) {
+        if (typeof repair?.code !== 'string' || typeof repair?.error !== 'string') {
+            return 'repair must include the failing code and error';
+        }
+        if (!Number.isInteger(repair.attempt) || repair.attempt < 1) {
+            return 'repair.attempt must be a positive integer';
+        }
+        if (repair.attempt > MAX_REPAIR_ATTEMPTS) {
+            return `Repair limit of ${MAX_REPAIR_ATTEMPTS} attempts reached`;
+        }
+    }
+
+    return null;
 }
-\`\`\`
 
-EXAMPLES:
-- "red cube" → BoxGeometry with red MeshStandardMaterial
-- "blue sphere" → SphereGeometry with blue MeshStandardMaterial
-- "snowman" → THREE.Group with 3 white SphereGeometry stacked
+/**
+ * Check per-request sampling parameters
+ * @param {object} params - { temperature, maxTokens }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateParams(params) {
+    if (typeof params !== 'object' || params === null) {
+        return 'params must be an object';
+    }
+
+    const { temperature, maxTokens } = params;
+
+    if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+        return 'params.temperature must be a number between 0 and 2';
+    }
+
+    if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= 16000)) {
+        return 'params.maxTokens must be an integer between 1 and 16000';
+    }
 
-Be creative but stick to the rules. Always return valid, executable code.`;
+    return null;
+}
+
+/**
+ * Check the size of everything a validated request sends to the model
+ * @param {Array<object>} messages - From buildMessages()
+ * @returns {string|null} - Error message for a 413, or null if it fits
+ */
+function checkContextLength(messages) {
+    const length = promptChars(messages);
+    if (length <= MAX_CONTEXT_CHARS) return null;
+    return `Prompt and conversation are too long: ${length.toLocaleString('en-US')} characters, ${MAX_CONTEXT_CHARS.toLocaleString('en-US')} max. Start a new project or ask for a simpler object`;
+}
+
+/**
+ * Check the layout of the objects a new one joins
+ * @param {Array} scene - [{ name, min: [x, y, z], max: [x, y, z] }]
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateScene(scene) {
+    if (!Array.isArray(scene) || scene.length > MAX_LAYOUT_OBJECTS) {
+        return `scene must be an array of at most ${MAX_LAYOUT_OBJECTS} objects`;
+    }
+
+    const isPoint = value => Array.isArray(value)
+        && value.length === 3
+        && value.every(n => typeof n === 'number' && Number.isFinite(n));
+
+    const bad = scene.find(entry => !entry
+        || !(typeof entry.name === 'string' && entry.name.length <= MAX_SCENE_NAME_LENGTH)
+        || !isPoint(entry.min)
+        || !isPoint(entry.max));
+    if (bad !== undefined) {
+        return `scene entries need a name (up to ${MAX_SCENE_NAME_LENGTH} characters) and min and max points [x, y, z]`;
+    }
+
+    return null;
+}
+
+/**
+ * Cache key for a generation request: everything that shapes the model's answer
+ * @param {object} body - A validated request body
+ * @param {{provider: object, model: string}} target - Resolved model
+ * @param {object} params - Sampling parameters after defaults
+ * @returns {string}
+ */
+function generationKey(body, target, params) {
+    return cacheKey({
+        version: PROMPT_VERSION,
+        model: `${target.provider.id}:${target.model}`,
+        params,
+        prompt: normalizePrompt(body.message),
+        history: body.history ?? [],
+        currentCode: body.currentCode ?? null,
+        repair: body.repair ? { code: body.repair.code, error: body.repair.error } : null,
+        image: body.image ?? null,
+        ...(body.scene?.length && { scene: body.scene }),
+        // Each candidate of a variations request gets its own entry; the first
+        // shares one with the plain request
+        ...(body.variant && { variant: body.variant })
+    });
+}
 
 // API endpoint for generating 3D code
-app.post('/api/generate', async (req, res) => {
+app.post('/api/generate', guardGeneration, limitPromptLength('message', MAX_PROMPT_CHARS), async (req, res) => {
+    const started = Date.now();
+    let modelId = null;
+
     try {
-        const { message } = req.body;
-
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
-        }
-
-        const apiKey = process.env.OPENROUTER_API_KEY;
-
-        if (!apiKey || apiKey === 'your_api_key_here') {
-            return res.status(500).json({ error: 'OpenRouter API key not configured' });
-        }
-
-        // Make request to OpenRouter
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'http://localhost:5173',
-                'X-Title': '3D Chatbot Generator'
-            },
-            body: JSON.stringify({
-                model: 'google/gemini-3-flash-preview',
-                messages: [
-                    { role: 'system', content: SYSTEM_PROMPT },
-                    { role: 'user', content: `Create a 3D object: ${message}` }
-                ],
-                temperature: 0.7,
-                max_tokens: 2000
-            })
-        });
+        const validationError = validateGenerateRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            console.error('OpenRouter error:', errorData);
-            return res.status(response.status).json({
-                error: 'Failed to generate 3D code',
-                details: errorData
-            });
+        const messages = buildMessages(req.body);
+        const lengthError = checkContextLength(messages);
+        if (lengthError) {
+            return res.status(413).json({ error: lengthError });
         }
 
-        const data = await response.json();
-        const aiResponse = data.choices[0]?.message?.content || '';
+        const target = providers.resolve(req.body.model);
+        if (!target) {
+            return res.status(500).json({ error: 'No LLM provider configured' });
+        }
 
-        // Extract code from markdown code blocks
-        const codeMatch = aiResponse.match(/```javascript\n([\s\S]*?)```/);
-        const code = codeMatch ? codeMatch[1].trim() : aiResponse;
+        modelId = `${target.provider.id}:${target.model}`;
+        const params = { ...DEFAULT_PARAMS, ...req.body.params };
+        const { value, cached } = await cache.fetch(generationKey(req.body, target, params), async () => {
+            const { content, usage: tokens } = await target.provider.complete(target.model, messages, params, {
+                prompt: req.body.message
+            });
+            return { content, usage: tokens };
+        }, { fresh: req.body.fresh });
+        const aiResponse = value.content;
+
+        const entry = await recordUsage({
+            route: 'generate',
+            model: modelId,
+            usage: value.usage,
+            latencyMs: Date.now() - started,
+            success: true,
+            cached
+        });
 
         res.json({
             success: true,
-            code: code,
+            code: extractCode(aiResponse),
+            mode: req.body.currentCode ? 'refine' : 'create',
+            model: modelId,
+            attempt: req.body.repair?.attempt ?? 0,
+            cached,
+            usage: usageSummary(entry),
             rawResponse: aiResponse
         });
 
     } catch (error) {
+        if (modelId) {
+            await recordUsage({ route: 'generate', model: modelId, usage: null, latencyMs: Date.now() - started, success: false, error: error.message });
+        }
+
+        if (error instanceof ProviderError) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+
         console.error('Server error:', error);
         res.status(500).json({
             error: 'Internal server error',
@@ -107,11 +330,336 @@ app.post('/api/generate', async (req, res) => {
     }
 });
 
+// Streaming variant: relays tokens as server-sent events
+//   event: token  data: {"text": "..."}
+//   event: done   data: {"success": true, "code": "...", "mode": "...", "model": "...", "attempt": 0, "cached": false, "usage": {...}, "rawResponse": "..."}
+//   event: error  data: {"error": "...", "details": "..."}
+// A cached response arrives as a single token event
+app.post('/api/generate/stream', guardGeneration, limitPromptLength('message', MAX_PROMPT_CHARS), async (req, res) => {
+    const validationError = validateGenerateRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const messages = buildMessages(req.body);
+    const lengthError = checkContextLength(messages);
+    if (lengthError) {
+        return res.status(413).json({ error: lengthError });
+    }
+
+    const target = providers.resolve(req.body.model);
+    if (!target) {
+        return res.status(500).json({ error: 'No LLM provider configured' });
+    }
+
+    const started = Date.now();
+    const modelId = `${target.provider.id}:${target.model}`;
+
+    // Stop paying for tokens nobody will read
+    const upstream = new AbortController();
+    res.on('close', () => upstream.abort());
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const open = () => {
+        if (res.headersSent) return;
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+    };
+
+    try {
+        const params = { ...DEFAULT_PARAMS, ...req.body.params };
+        const { value, cached } = await cache.fetch(generationKey(req.body, target, params), async () => {
+            const tokens = target.provider.stream(target.model, messages, params, {
+                signal: upstream.signal,
+                prompt: req.body.message
+            })[Symbol.asyncIterator]();
+
+            // Pull the first delta before committing to a 200 so upstream errors keep their status
+            let next = await tokens.next();
+            open();
+
+            let content = '';
+            while (!next.done) {
+                content += next.value;
+                send('token', { text: next.value });
+                next = await tokens.next();
+            }
+            // The generator's return value carries the usage block
+            return { content, usage: next.value?.usage ?? null };
+        }, { fresh: req.body.fresh });
+        const aiResponse = value.content;
+
+        const entry = await recordUsage({
+            route: 'stream',
+            model: modelId,
+            usage: value.usage,
+            latencyMs: Date.now() - started,
+            success: true,
+            cached
+        });
+
+        open();
+        if (cached) {
+            send('token', { text: aiResponse });
+        }
+        send('done', {
+            success: true,
+            code: extractCode(aiResponse),
+            mode: req.body.currentCode ? 'refine' : 'create',
+            model: modelId,
+            attempt: req.body.repair?.attempt ?? 0,
+            cached,
+            usage: usageSummary(entry),
+            rawResponse: aiResponse
+        });
+        res.end();
+
+    } catch (error) {
+        await recordUsage({
+            route: 'stream',
+            model: modelId,
+            usage: null,
+            latencyMs: Date.now() - started,
+            success: false,
+            error: upstream.signal.aborted ? 'Cancelled by the client' : error.message
+        });
+        if (upstream.signal.aborted) return;
+
+        if (error instanceof ProviderError && !res.headersSent) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Server error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: 'Internal server error',
+                details: error.message
+            });
+        }
+        send('error', { error: 'Internal server error', details: error.message });
+        res.end();
+    }
+});
+
+// Thumbnail sizes accepted by /api/render, in pixels
+const MIN_THUMBNAIL_SIZE = 32;
+const MAX_THUMBNAIL_SIZE = 1024;
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+/**
+ * Check the body of a headless render request
+ * @param {object} body - Parsed JSON request body
+ * @returns {string|null} - Error message, or null if the request is usable
+ */
+function validateRenderRequest(body) {
+    const { prompt, code, parameters, format = 'glb', scale, upAxis, thumbnail, response, model, params } = body;
+
+    if ((prompt === undefined) === (code === undefined)) {
+        return 'Provide either prompt or code';
+    }
+
+    if (prompt !== undefined && !(typeof prompt === 'string' && prompt.trim())) {
+        return 'prompt must be a non-empty string';
+    }
+
+    if (code !== undefined && !(typeof code === 'string' && code.trim())) {
+        return 'code must be a non-empty string';
+    }
+
+    if (parameters !== undefined && !(parameters && typeof parameters === 'object' && !Array.isArray(parameters)
+        && Object.values(parameters).every(v => typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v))))) {
+        return 'parameters must map parameter names to numbers or booleans';
+    }
+
+    if (!Object.hasOwn(HEADLESS_FORMATS, format)) {
+        return `format must be one of: ${Object.keys(HEADLESS_FORMATS).join(', ')}`;
+    }
+
+    if (scale !== undefined && !(typeof scale === 'number' && scale > 0 && Number.isFinite(scale))) {
+        return 'scale must be a positive number';
+    }
+
+    if (upAxis !== undefined && upAxis !== 'y' && upAxis !== 'z') {
+        return "upAxis must be 'y' or 'z'";
+    }
+
+    if (thumbnail !== undefined && typeof thumbnail !== 'boolean') {
+        const size = thumbnail?.size;
+        if (!(Number.isInteger(size) && size >= MIN_THUMBNAIL_SIZE && size <= MAX_THUMBNAIL_SIZE)) {
+            return `thumbnail must be true, false or { size: ${MIN_THUMBNAIL_SIZE}-${MAX_THUMBNAIL_SIZE} }`;
+        }
+    }
+
+    if (response !== undefined && response !== 'binary' && response !== 'json') {
+        return "response must be 'binary' or 'json'";
+    }
+
+    if (model !== undefined && !providers.resolve(model)) {
+        return `Unknown model: ${model}`;
+    }
+
+    if (params !== undefined) {
+        const paramsError = validateParams(params);
+        if (paramsError) return paramsError;
+    }
+
+    return null;
+}
+
+// Headless generation: prompt or createObject code in, model file out
+//   response: 'binary' (default) → the file itself
+//   response: 'json'             → { success, code, format, filename, model, attempts, parameters,
+//                                    parameterSchema, data, thumbnail } (base64)
+// parameters sets values for the code's declared parameters; the rest keep their defaults
+// Prompts get the same repair loop as the browser: failing code goes back to the model with its error
+app.post('/api/render', guardGeneration, limitPromptLength('prompt', MAX_PROMPT_CHARS), async (req, res) => {
+    const validationError = validateRenderRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const { prompt, parameters, format = 'glb', scale, upAxis, response = 'binary' } = req.body;
+    const thumbnail = req.body.thumbnail === true
+        ? { size: DEFAULT_THUMBNAIL_SIZE }
+        : req.body.thumbnail || null;
+    const options = { format, scale, upAxis, thumbnail, parameters };
+
+    let code = req.body.code;
+    let modelId = null;
+    let attempts = 0;
+    const started = Date.now();
+
+    try {
+        let result;
+
+        if (prompt !== undefined) {
+            const target = providers.resolve(req.body.model);
+            if (!target) {
+                return res.status(500).json({ error: 'No LLM provider configured' });
+            }
+            modelId = `${target.provider.id}:${target.model}`;
+
+            // Step 1: Generate, then feed sandbox errors back until the code runs
+            let error;
+            ({ code, attempts, result, error } = await generateModel(target, prompt, {
+                params: { ...DEFAULT_PARAMS, ...req.body.params },
+                render: options,
+                maxRepairAttempts: MAX_REPAIR_ATTEMPTS,
+                onAttempt: ({ usage: tokens, latencyMs, accepted, error: failure }) => recordUsage({
+                    route: 'render',
+                    model: modelId,
+                    usage: tokens,
+                    latencyMs,
+                    success: true,
+                    accepted,
+                    error: failure
+                })
+            }));
+            if (error) throw error;
+        } else {
+            result = await renderHeadless(code, options);
+        }
+
+        // Step 2: Reply with the file, or with everything as JSON
+        if (response === 'json') {
+            return res.json({
+                success: true,
+                code,
+                format,
+                filename: result.filename,
+                model: modelId,
+                attempts,
+                parameters: result.parameters?.values ?? null,
+                parameterSchema: result.parameters?.schema ?? null,
+                data: result.data.toString('base64'),
+                thumbnail: result.thumbnail?.toString('base64') ?? null
+            });
+        }
+
+        res.set({
+            'Content-Type': result.mimeType,
+            'Content-Disposition': `attachment; filename="${result.filename}"`,
+            'X-Forge-Attempts': String(attempts)
+        });
+        res.send(result.data);
+
+    } catch (error) {
+        if (error instanceof SandboxError) {
+            return res.status(422).json({
+                error: error.message,
+                line: error.line,
+                column: error.column,
+                code,
+                attempts
+            });
+        }
+
+        if (error instanceof ProviderError) {
+            await recordUsage({ route: 'render', model: modelId, usage: null, latencyMs: Date.now() - started, success: false, error: error.message });
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Render error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
+// Saved projects (chat, generated code and transforms)
+app.use('/api/projects', createProjectRouter(projects));
+
+// Imported model files referenced by projects
+app.use('/api/assets', createAssetRouter(assets, { maxBytes: MAX_ASSET_BYTES }));
+
+// Token and cost totals, and sandbox outcomes reported by the page
+app.use('/api/usage', requireToken(process.env.API_TOKEN), createUsageRouter(usage));
+
+// Models the client can pick from
+app.get('/api/models', (req, res) => {
+    res.json({
+        models: providers.listModels(),
+        default: providers.defaultModel,
+        params: DEFAULT_PARAMS
+    });
+});
+
+// Client-facing settings
+app.get('/api/config', (req, res) => {
+    res.json({
+        maxRepairAttempts: MAX_REPAIR_ATTEMPTS,
+        maxImportBytes: MAX_ASSET_BYTES,
+        maxImageBytes: MAX_IMAGE_BYTES
+    });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Malformed or oversized JSON bodies get a JSON error like everything else
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is too large (${Math.round(error.limit / 1024 / 1024)} MB max)` });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    next(error);
+});
+
+// Clear out responses that expired while the server was down
+cache.prune().catch(error => console.warn('Cache prune failed:', error.message));
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📡 API endpoint: http://localhost:${PORT}/api/generate`);
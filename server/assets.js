@@ -0,0 +1,127 @@
+/**
+ * Asset Storage - Imported model files kept on disk next to the projects
+ *
+ * Imported objects have no code to rebuild them from, so the original file is
+ * stored once and projects refer to it by id:
+ *   DATA_DIR/assets/<id>       raw file bytes
+ *   DATA_DIR/assets/<id>.json  { id, format, name, size, createdAt }
+ *
+ *   POST /api/assets?format=glb&name=chair.glb   upload raw bytes
+ *   GET  /api/assets/:id                         download them again
+ */
+
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Formats the client knows how to load, with the MIME type served back
+export const ASSET_FORMATS = {
+    glb: 'model/gltf-binary',
+    gltf: 'model/gltf+json',
+    obj: 'text/plain',
+    stl: 'model/stl'
+};
+
+const MAX_ASSET_NAME_LENGTH = 200;
+const ASSET_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+export class AssetStore {
+    /**
+     * @param {string} dir - Directory holding asset files
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * @param {Buffer} data - File contents
+     * @param {{format: string, name: string}} meta
+     * @returns {Promise<object>} - The stored asset's metadata
+     */
+    async save(data, { format, name }) {
+        const asset = {
+            id: randomUUID(),
+            format,
+            name,
+            size: data.length,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, asset.id), data);
+        await fs.writeFile(path.join(this.dir, `${asset.id}.json`), JSON.stringify(asset, null, 2), 'utf8');
+        return asset;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<{asset: object, data: Buffer}|null>} - null if unknown
+     */
+    async read(id) {
+        // Ids become file names, so anything but a UUID is rejected outright
+        if (!ASSET_ID_PATTERN.test(id)) return null;
+
+        try {
+            const asset = JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+            const data = await fs.readFile(path.join(this.dir, id));
+            return { asset, data };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * @param {AssetStore} store
+ * @param {object} options
+ * @param {number} options.maxBytes - Largest upload accepted
+ * @returns {express.Router}
+ */
+export function createAssetRouter(store, { maxBytes }) {
+    const router = express.Router();
+
+    router.post('/', express.raw({ type: () => true, limit: maxBytes }), async (req, res) => {
+        const format = String(req.query.format ?? '').toLowerCase();
+        const name = String(req.query.name ?? '').trim();
+
+        if (!ASSET_FORMATS[format]) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(ASSET_FORMATS).join(', ')}` });
+        }
+        if (!name || name.length > MAX_ASSET_NAME_LENGTH) {
+            return res.status(400).json({ error: `name must be 1-${MAX_ASSET_NAME_LENGTH} characters` });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Request body must contain the file' });
+        }
+
+        try {
+            res.status(201).json(await store.save(req.body, { format, name }));
+        } catch (error) {
+            console.error('Asset storage error:', error);
+            res.status(500).json({ error: 'Asset storage failed', details: error.message });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const stored = await store.read(req.params.id);
+            if (!stored) {
+                return res.status(404).json({ error: 'Asset not found' });
+            }
+            res.type(ASSET_FORMATS[stored.asset.format]).send(stored.data);
+        } catch (error) {
+            console.error('Asset storage error:', error);
+            res.status(500).json({ error: 'Asset storage failed', details: error.message });
+        }
+    });
+
+    // Oversized uploads are rejected by the body parser before the handler runs
+    router.use((error, req, res, next) => {
+        if (error.type !== 'entity.too.large') return next(error);
+        res.status(413).json({ error: `File is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB import limit` });
+    });
+
+    return router;
+}
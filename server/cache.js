@@ -0,0 +1,196 @@
+/**
+ * Response Cache - Reuses model output for repeated generation requests
+ *
+ * Entries are kept in memory and mirrored to disk so a restart keeps popular
+ * prompts warm:
+ *   DATA_DIR/cache/<key>.json   { key, createdAt, expiresAt, value }
+ *
+ * Identical requests that arrive while one is still waiting on the model
+ * share its upstream call instead of making their own.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Most entries held in memory; older ones are still read back from disk
+const MAX_MEMORY_ENTRIES = 500;
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Hash the parts of a request that decide the model's answer
+ * @param {object} parts - Any JSON-serializable description of the request
+ * @returns {string} - Hex SHA-256, safe to use as a file name
+ */
+export function cacheKey(parts) {
+    return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Normalize a prompt so trivially different spellings share an entry
+ * @param {string} prompt - e.g. '  Red   Cube '
+ * @returns {string} - e.g. 'red cube'
+ */
+export function normalizePrompt(prompt) {
+    return prompt.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export class ResponseCache {
+    /**
+     * @param {string} dir - Directory holding cache entries
+     * @param {object} options
+     * @param {number} options.ttlMs - How long an entry stays valid; 0 disables storing
+     */
+    constructor(dir, { ttlMs }) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+        // Upstream calls still running, by key
+        this.pending = new Map();
+    }
+
+    /**
+     * @param {string} key - From cacheKey()
+     * @returns {Promise<object|null>} - The stored value, or null if missing or expired
+     */
+    async get(key) {
+        if (this.ttlMs <= 0 || !KEY_PATTERN.test(key)) return null;
+
+        let entry = this.entries.get(key);
+        if (!entry) {
+            try {
+                entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.warn('Cache read failed:', error.message);
+                return null;
+            }
+            this.remember(key, entry);
+        }
+
+        if (Date.parse(entry.expiresAt) <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key - From cacheKey()
+     * @param {object} value - JSON-serializable
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        if (this.ttlMs <= 0 || !KEY_PATTERN.test(key)) return;
+
+        const now = Date.now();
+        const entry = {
+            key,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMs).toISOString(),
+            value
+        };
+        this.remember(key, entry);
+
+        // Via a temp file so a crash never leaves half an entry
+        const tempPath = `${this.filePath(key)}.tmp`;
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+        await fs.rename(tempPath, this.filePath(key));
+    }
+
+    /**
+     * Answer from the cache, from an identical request already in flight, or by
+     * calling produce() and storing what it returns
+     * @param {string} key - From cacheKey()
+     * @param {() => Promise<object>} produce - Makes the upstream call
+     * @param {object} [options]
+     * @param {boolean} [options.fresh=false] - Skip the cache and in-flight requests
+     * @returns {Promise<{value: object, cached: boolean}>} - cached is true when no new upstream call was made
+     */
+    async fetch(key, produce, { fresh = false } = {}) {
+        if (!fresh) {
+            const stored = await this.get(key);
+            if (stored) return { value: stored, cached: true };
+
+            const pending = this.pending.get(key);
+            if (pending) {
+                try {
+                    return { value: await pending, cached: true };
+                } catch (error) {
+                    // The request we joined was cancelled by its own client; make ours
+                    if (error?.name !== 'AbortError') throw error;
+                }
+            }
+        }
+
+        const call = produce();
+        if (!fresh) this.pending.set(key, call);
+        try {
+            const value = await call;
+            await this.set(key, value).catch(error => console.warn('Cache write failed:', error.message));
+            return { value, cached: false };
+        } finally {
+            if (this.pending.get(key) === call) this.pending.delete(key);
+        }
+    }
+
+    /**
+     * Remove expired entries from disk
+     * @returns {Promise<number>} - How many were removed
+     */
+    async prune() {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let removed = 0;
+        for (const name of names) {
+            const key = name.replace(/\.json$/, '');
+            if (!KEY_PATTERN.test(key)) continue;
+            try {
+                const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+                if (this.ttlMs > 0 && Date.parse(entry.expiresAt) > Date.now()) continue;
+            } catch {
+                // Unreadable entries go too
+            }
+            await this.delete(key);
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+        await fs.rm(this.filePath(key), { force: true });
+    }
+
+    /**
+     * Keep an entry in memory, dropping the oldest beyond the limit
+     * @param {string} key
+     * @param {object} entry
+     */
+    remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > MAX_MEMORY_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @param {string} key - Already checked against KEY_PATTERN
+     * @returns {string}
+     */
+    filePath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+}
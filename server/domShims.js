@@ -0,0 +1,92 @@
+/**
+ * DOM Shims - The few browser APIs three.js exporters reach for, for Node
+ * Only installed in the headless worker, and only where Node lacks the API.
+ */
+
+import { encodePNG } from './thumbnail.js';
+
+/**
+ * Install FileReader, ImageData and OffscreenCanvas if missing
+ */
+export function installDOMShims() {
+    globalThis.FileReader ??= FileReader;
+    globalThis.ImageData ??= ImageData;
+    globalThis.OffscreenCanvas ??= OffscreenCanvas;
+}
+
+// GLTFExporter reads its output Blobs through FileReader.
+// It attaches onloadend after calling read*, so results arrive asynchronously.
+class FileReader {
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then(buffer => {
+            this.result = buffer;
+            this.onloadend?.();
+        });
+    }
+
+    readAsDataURL(blob) {
+        blob.arrayBuffer().then(buffer => {
+            this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+            this.onloadend?.();
+        });
+    }
+}
+
+class ImageData {
+    constructor(data, width, height) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+    }
+}
+
+// GLTFExporter embeds data textures by drawing them on a canvas and encoding
+// it as PNG. This canvas supports exactly that: putImageData, an optional
+// vertical flip, and PNG output.
+class OffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = null;
+        this.flipped = false;
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        return {
+            translate: () => {},
+            scale: (x, y) => {
+                if (y < 0) this.flipped = !this.flipped;
+            },
+            putImageData: (image, dx, dy) => this.putImageData(image, dx, dy),
+            drawImage: () => {
+                throw new Error('Only pixel-buffer textures can be exported headlessly');
+            }
+        };
+    }
+
+    putImageData(image, dx = 0, dy = 0) {
+        this.pixels ??= new Uint8Array(this.width * this.height * 4);
+        for (let y = 0; y < image.height; y++) {
+            const row = this.flipped ? this.height - 1 - (y + dy) : y + dy;
+            if (row < 0 || row >= this.height) continue;
+            for (let x = 0; x < image.width && x + dx < this.width; x++) {
+                const from = (y * image.width + x) * 4;
+                const to = (row * this.width + x + dx) * 4;
+                this.pixels.set(image.data.subarray(from, from + 4), to);
+            }
+        }
+    }
+
+    encode() {
+        return encodePNG(this.width, this.height, this.pixels ?? new Uint8Array(this.width * this.height * 4), 4);
+    }
+
+    async convertToBlob() {
+        return new Blob([this.encode()], { type: 'image/png' });
+    }
+
+    toDataURL() {
+        return `data:image/png;base64,${this.encode().toString('base64')}`;
+    }
+}
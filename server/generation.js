@@ -0,0 +1,253 @@
+/**
+ * Generation Pipeline - Prompts, code extraction and the repair loop
+ * Shared by the HTTP routes in server.js and the command-line tool in cli.js,
+ * so both ask the model the same way and hold its code to the same rules.
+ */
+
+import { createHash } from 'crypto';
+import {
+    ALLOWED_GEOMETRIES,
+    ALLOWED_MATERIALS,
+    ALLOWED_HELPERS,
+    ALLOWED_GLOBALS,
+    CSG_OPERATIONS,
+    MATERIAL_PRESETS
+} from '../src/utils/allowlist.js';
+import { SandboxError } from '../src/utils/errors.js';
+import { renderHeadless } from './headless.js';
+
+// Globals with rules of their own in the prompt
+const LIBRARY_GLOBALS = new Set(['THREE', 'CSG', 'Materials', 'Textures']);
+
+// Plain globals named in the prompt
+const PROMPT_GLOBALS = [...ALLOWED_GLOBALS].filter(name => !LIBRARY_GLOBALS.has(name));
+
+// System prompt for Three.js code generation
+// The allowed names come from the same list the sandbox enforces
+const SYSTEM_PROMPT = `You are a Three.js code generator. Given a description of a 3D object, generate ONLY valid JavaScript code that creates the object using Three.js.
+
+STRICT RULES:
+1. Use only these geometries: ${ALLOWED_GEOMETRIES.join(', ')}
+2. Use only these materials: ${ALLOWED_MATERIALS.join(', ')}
+3. The only other THREE members you may use are: ${ALLOWED_HELPERS.join(', ')}. Use THREE.Group to combine multiple meshes
+4. Return a function named 'createObject' that returns a THREE.Object3D, THREE.Mesh, or THREE.Group
+5. No external dependencies, no async code, no fetch calls, no imports, no classes, no "this"
+6. Besides THREE, CSG, Materials, Textures and your own variables, the only globals available are: ${PROMPT_GLOBALS.join(', ')}
+7. Always write THREE.Member directly; never alias THREE or access it with brackets
+8. Use hexadecimal colors (0xRRGGBB format)
+9. Set proper position, rotation, scale as needed
+10. For complex objects, break them into multiple meshes and group them
+11. Prefer profile-based geometry over stacks of primitives for shaped objects:
+    - LatheGeometry(points) spins an array of THREE.Vector2 (x = radius, y = height) around Y: bottles, vases, bowls, lamp bases
+    - ExtrudeGeometry(shape, { depth, bevelEnabled }) and ShapeGeometry(shape) build from a THREE.Shape drawn with moveTo/lineTo/quadraticCurveTo/absarc; add holes with shape.holes.push(new THREE.Path()...): gears, brackets, letters
+    - TubeGeometry(curve, tubularSegments, radius, radialSegments) sweeps along a CatmullRomCurve3, QuadraticBezierCurve3, CubicBezierCurve3 or LineCurve3: pipes, handles, cables
+    - CapsuleGeometry(radius, length, capSegments, radialSegments) for rounded rods and limbs
+12. For boolean shapes use ${CSG_OPERATIONS.map(name => `CSG.${name}(a, b)`).join(', ')} on two meshes. Each applies both meshes' position, rotation and scale and returns a NEW mesh at the origin with a's material; add the result to your object, not a or b
+13. For realistic surfaces use the material presets ${MATERIAL_PRESETS.map(name => `Materials.${name}()`).join(', ')}. Each takes an optional { color, repeat } and returns a new material; glass is a MeshPhysicalMaterial with transmission
+14. For patterned surfaces set material.map to a procedural texture: Textures.checker({ colors: [a, b], squares }), Textures.stripes({ colors: [a, b], count, vertical }), Textures.bricks({ brick, mortar, rows, columns }), Textures.noise({ colors: [a, b], scale, seed }). The material color tints the texture, so leave it white. Textures tile; use texture.repeat.set(x, y) for more tiles
+15. Expose the few values a user would want to tune (main dimensions, counts, colors, optional parts) as parameters: destructure them with literal defaults, e.g. function createObject({ height = 2, legCount = 4, color = 0x8b5a2b, hasBackrest = true } = {}). Names ending in Count are whole numbers and names containing color get a color picker. To set slider ranges add a top-level const PARAMETERS = { height: { min: 0.5, max: 5, step: 0.1 } } using literals only. The object must hold together for every value in range
+16. For moving things (windmills, fans, clocks, wheels) also define a top-level function animate(object, time, delta) that sets the rotation, position or scale of the object's parts for a time in seconds; never move the object itself and never add or remove parts. Keep it a pure function of time. It is sampled over one loop of const ANIMATION = { duration: 4, fps: 30 } (both optional literals), so make the motion periodic in that duration, e.g. rotor.rotation.z = time * Math.PI * 2 / 4
+
+OUTPUT FORMAT (EXACTLY):
+\`\`\`javascript
+function createObject() {
+    // Create geometry and material
+    // Create mesh(es)
+    // Position and configure
+    return object; // Must return THREE.Object3D, THREE.Mesh, or THREE.Group
+}
+\`\`\`
+
+EXAMPLES:
+- "red cube" → BoxGeometry with red MeshStandardMaterial
+- "blue sphere" → SphereGeometry with blue MeshStandardMaterial
+- "snowman" → THREE.Group with 3 white SphereGeometry stacked
+- "vase" → LatheGeometry from a Vector2 profile
+- "washer" → CSG.subtract of a thin CylinderGeometry and a smaller one
+- "wooden table" → BoxGeometry top and legs with Materials.wood(), parameters { width, height, legCount }
+- "windmill" → tower plus a rotor Group of blades; animate() spins the rotor once per loop
+
+Be creative but stick to the rules. Always return valid, executable code.
+
+REFINEMENT:
+When the user message includes the current createObject code, treat the request as an edit of that object.
+Return the COMPLETE updated createObject function (not a diff), keeping every part the user did not ask to change.`;
+
+// Changes with the prompt, so responses cached under an older prompt are never reused
+export const PROMPT_VERSION = createHash('sha256').update(SYSTEM_PROMPT).digest('hex').slice(0, 12);
+
+// Maximum number of prior chat turns relayed to the model
+const MAX_HISTORY_TURNS = 12;
+
+/**
+ * Keep only well-formed user/assistant turns from client-supplied history
+ * @param {Array} history - Chat history from the request body
+ * @returns {Array<{role: string, content: string}>}
+ */
+function sanitizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+
+    return history
+        .filter(turn => turn
+            && (turn.role === 'user' || turn.role === 'assistant')
+            && typeof turn.content === 'string'
+            && turn.content.trim())
+        .slice(-MAX_HISTORY_TURNS)
+        .map(turn => ({ role: turn.role, content: turn.content }));
+}
+
+/**
+ * Describe the objects a new one is being added next to
+ * @param {Array<{name: string, min: number[], max: number[]}>} scene - Bounding boxes in world space
+ * @returns {string}
+ */
+function describeScene(scene) {
+    const lines = scene.map(({ name, min, max }) =>
+        `- ${name.replace(/\s+/g, ' ').trim() || 'object'}: from (${min.join(', ')}) to (${max.join(', ')})`);
+
+    return `Objects already in the scene, as bounding boxes (y is up and the ground is y = 0):
+${lines.join('\n')}
+
+Position the new object where the request puts it relative to these. It will be set on the ground and moved clear of anything it overlaps.`;
+}
+
+/**
+ * Build the final user turn, embedding the current object's code when refining
+ * or the failing code and its error when repairing
+ * @param {string} message - The user's request
+ * @param {string} [currentCode] - createObject code of the object being edited
+ * @param {{code: string, error: string}} [repair] - Failed attempt to fix
+ * @param {Array<object>} [scene] - Objects already in the scene, for a new object
+ * @returns {string}
+ */
+function buildUserPrompt(message, currentCode, repair, scene) {
+    if (repair) {
+        return `The code you wrote for "${message}" failed:
+\`\`\`javascript
+${repair.code}
+\`\`\`
+
+Error: ${repair.error}
+
+Fix the problem and return the complete corrected createObject function.`;
+    }
+
+    if (!currentCode) {
+        const request = `Create a 3D object: ${message}`;
+        return scene?.length ? `${request}\n\n${describeScene(scene)}` : request;
+    }
+
+    return `Here is the current object:
+\`\`\`javascript
+${currentCode}
+\`\`\`
+
+Modify it as follows: ${message}
+
+Return the complete updated createObject function.`;
+}
+
+// Added to the prompt when a reference image is attached
+const REFERENCE_IMAGE_NOTE = `The attached image is a reference sketch or photo. Match its overall proportions, silhouette and main colors, simplified into the allowed geometries; ignore the background.`;
+
+/**
+ * Assemble the chat messages for a generation request
+ * @param {object} request - { message, history, currentCode, repair, image, scene }
+ *   image is a data URL from a vision-capable request; repairs leave it out.
+ *   scene lists the objects already placed, as { name, min, max }
+ * @returns {Array<{role: string, content: string|Array<object>}>}
+ */
+export function buildMessages({ message, history, currentCode, repair, image, scene }) {
+    const prompt = buildUserPrompt(message, currentCode, repair, scene);
+    const content = image && !repair
+        ? [
+            { type: 'text', text: `${prompt}\n\n${REFERENCE_IMAGE_NOTE}` },
+            { type: 'image_url', image_url: { url: image } }
+        ]
+        : prompt;
+
+    return [
+        { role: 'system', content: SYSTEM_PROMPT },
+        ...sanitizeHistory(history),
+        { role: 'user', content }
+    ];
+}
+
+/**
+ * Characters a request puts in front of the model: every turn but the system prompt, images left out
+ * @param {Array<{role: string, content: string|Array<object>}>} messages - From buildMessages()
+ * @returns {number}
+ */
+export function promptChars(messages) {
+    return messages
+        .filter(turn => turn.role !== 'system')
+        .reduce((total, { content }) => total + (typeof content === 'string'
+            ? content.length
+            : content.reduce((sum, part) => sum + (part.text?.length ?? 0), 0)), 0);
+}
+
+/**
+ * Extract code from a markdown code block, falling back to the whole response
+ * @param {string} aiResponse - Raw model output
+ * @returns {string}
+ */
+export function extractCode(aiResponse) {
+    const codeMatch = aiResponse.match(/```(?:javascript|js)?\n([\s\S]*?)```/);
+    return codeMatch ? codeMatch[1].trim() : aiResponse;
+}
+
+// Repairs allowed when MAX_REPAIR_ATTEMPTS is unset or not a usable number
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Read the repair budget from MAX_REPAIR_ATTEMPTS
+ * @param {string|undefined} value - e.g. '2'
+ * @returns {number} - A non-negative integer; the default for anything else
+ */
+export function parseRepairLimit(value) {
+    const limit = Number(value);
+    return value?.trim() && Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Generate code for a prompt and render it headlessly, sending sandbox errors
+ * back to the model until the code runs or the repair budget is spent
+ * @param {{provider: object, model: string}} target - From ProviderRegistry.resolve()
+ * @param {string} prompt - What to build
+ * @param {object} options
+ * @param {object} options.params - Sampling parameters
+ * @param {object} options.render - Options for renderHeadless()
+ * @param {number} options.maxRepairAttempts - Repairs allowed after the first try
+ * @param {(attempt: {usage: object|null, latencyMs: number, accepted: boolean|null, error?: string}) => void} [options.onAttempt]
+ *   Called after each model call once its code has been run; accepted is null
+ *   when rendering broke down before the sandbox could judge the code
+ * @returns {Promise<{code: string, attempts: number, result?: object, error?: SandboxError}>}
+ *   result on success; error if the last attempt's code still failed
+ * @throws {ProviderError} - If the model can't be reached
+ */
+export async function generateModel(target, prompt, { params, render, maxRepairAttempts, onAttempt = () => { } }) {
+    let repair;
+
+    for (let attempts = 0; ; attempts++) {
+        const messages = buildMessages({ message: prompt, repair });
+        const started = Date.now();
+        const { content, usage } = await target.provider.complete(target.model, messages, params, { prompt });
+        const latencyMs = Date.now() - started;
+        const code = extractCode(content);
+
+        try {
+            const result = await renderHeadless(code, render);
+            onAttempt({ usage, latencyMs, accepted: true });
+            return { code, attempts, result };
+        } catch (error) {
+            // The model call is billed either way, so record it before giving up
+            if (!(error instanceof SandboxError)) {
+                onAttempt({ usage, latencyMs, accepted: null, error: error.message });
+                throw error;
+            }
+            onAttempt({ usage, latencyMs, accepted: false, error: error.message });
+            if (attempts >= maxRepairAttempts) return { code, attempts, error };
+            repair = { code, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Request Guards - Middleware protecting the routes that spend model tokens
+ *
+ *   rateLimit({ limit, windowMs })       429 once a client makes too many requests
+ *   requireToken(token)                  401 unless "Authorization: Bearer <token>"
+ *   limitPromptLength(field, maxChars)   413 when the prompt is too long
+ *
+ * Each is a no-op when its setting is off, so the defaults keep a local
+ * install working without configuration.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * Fixed-window request counter per client IP
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window; 0 disables the limit
+ * @param {number} options.windowMs - Window length
+ * @returns {import('express').RequestHandler}
+ */
+export function rateLimit({ limit, windowMs }) {
+    if (!(limit > 0)) return (req, res, next) => next();
+
+    // client → { count, resetAt }
+    const clients = new Map();
+
+    // Forget clients whose window has passed; unref'd so it never keeps the process alive
+    setInterval(() => {
+        const now = Date.now();
+        clients.forEach((entry, client) => {
+            if (entry.resetAt <= now) clients.delete(client);
+        });
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const client = req.ip ?? 'unknown';
+
+        let entry = clients.get(client);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            clients.set(client, entry);
+        }
+        entry.count++;
+
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(0, limit - entry.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (entry.count > limit) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                error: `Too many requests: ${limit} per ${formatWindow(windowMs)} allowed. Try again in ${resetSeconds} s.`,
+                retryAfter: resetSeconds
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Require a bearer token
+ * @param {string} [token] - Expected token; empty disables the check
+ * @returns {import('express').RequestHandler}
+ */
+export function requireToken(token) {
+    if (!token) return (req, res, next) => next();
+
+    // Compare digests so neither the length nor the content leaks through timing
+    const expected = digest(token);
+
+    return (req, res, next) => {
+        const match = (req.get('Authorization') ?? '').match(/^Bearer\s+(.+)$/i);
+        if (match && timingSafeEqual(digest(match[1].trim()), expected)) {
+            return next();
+        }
+
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({
+            error: match ? 'Invalid API token' : 'This server requires an API token'
+        });
+    };
+}
+
+/**
+ * Reject prompts over a length limit before any work is done
+ * @param {string} field - Body field holding the prompt
+ * @param {number} maxChars
+ * @returns {import('express').RequestHandler}
+ */
+export function limitPromptLength(field, maxChars) {
+    return (req, res, next) => {
+        const prompt = req.body?.[field];
+        if (typeof prompt === 'string' && prompt.length > maxChars) {
+            return res.status(413).json({
+                error: `Prompt is too long: ${prompt.length.toLocaleString('en-US')} characters, ${maxChars.toLocaleString('en-US')} max`
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function digest(value) {
+    return createHash('sha256').update(value).digest();
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} - e.g. 'minute', '5 minutes'
+ */
+function formatWindow(ms) {
+    const minutes = ms / 60000;
+    if (minutes === 1) return 'minute';
+    return Number.isInteger(minutes) ? `${minutes} minutes` : `${Math.round(ms / 1000)} s`;
+}
@@ -0,0 +1,115 @@
+/**
+ * Headless Rendering - createObject code to model file bytes, without a browser
+ *
+ * Each job gets its own worker thread (headless.worker.js) running the same
+ * validator, guarded THREE and exporters as the page. The worker is killed
+ * when the job finishes or runs out of time.
+ */
+
+import { Worker } from 'worker_threads';
+import { SandboxError } from '../src/utils/errors.js';
+import { DEFAULT_LIMITS } from '../src/utils/allowlist.js';
+
+// Formats served by /api/render, mapped to exporter formats. PLY and USDZ
+// depend on browser APIs inside their three.js exporters, so they stay in the UI.
+export const HEADLESS_FORMATS = {
+    glb: 'glb',
+    gltf: 'gltf',
+    stl: 'stl-binary',
+    'stl-binary': 'stl-binary',
+    'stl-ascii': 'stl-ascii',
+    obj: 'obj'
+};
+
+// Starting the worker and encoding the file; running the code itself gets
+// DEFAULT_LIMITS.timeoutMs, as in the browser sandbox
+const JOB_TIMEOUT_MS = 20000;
+
+// Heap for one job; generated models are capped well below this
+const WORKER_HEAP_MB = 512;
+
+/**
+ * Run createObject code and encode the object it returns
+ * @param {string} code - createObject code
+ * @param {object} [options]
+ * @param {object} [options.parameters] - Values for the code's declared parameters
+ * @param {string} [options.format='glb'] - Key of HEADLESS_FORMATS
+ * @param {number} [options.scale] - Uniform scale applied to the export
+ * @param {'y'|'z'} [options.upAxis] - Up axis, where the format allows a choice
+ * @param {string} [options.filename] - Output filename (without extension)
+ * @param {{size: number}|null} [options.thumbnail] - Also render a PNG preview
+ * @returns {Promise<{data: Buffer, filename: string, mimeType: string, thumbnail: Buffer|null, parameters: {schema: object[], values: object}|null}>}
+ * @throws {SandboxError} - If the code is rejected, fails, or times out
+ */
+export function renderHeadless(code, { parameters, format = 'glb', scale, upAxis, filename, thumbnail = null } = {}) {
+    const exportFormat = HEADLESS_FORMATS[format];
+    if (!exportFormat) {
+        return Promise.reject(new Error(`Unknown render format: ${format}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./headless.worker.js', import.meta.url), {
+            resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB }
+        });
+
+        let settled = false;
+        const finish = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            callback(value);
+        };
+
+        let timer = null;
+        const startTimer = (ms, error) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => finish(reject, error), ms);
+        };
+        startTimer(JOB_TIMEOUT_MS, new Error(`Render worker did not start within ${JOB_TIMEOUT_MS} ms`));
+
+        worker.on('message', ({ stage, data, filename: name, mimeType, thumbnail: preview, parameters: used, error }) => {
+            // Progress reports: only the code's own run counts against its limit
+            if (stage === 'run') {
+                const { timeoutMs } = DEFAULT_LIMITS;
+                return startTimer(timeoutMs, new SandboxError(`Code execution failed: timed out after ${timeoutMs} ms`));
+            }
+            if (stage === 'export') {
+                return startTimer(JOB_TIMEOUT_MS, new Error(`Export timed out after ${JOB_TIMEOUT_MS} ms`));
+            }
+
+            if (error) {
+                // Only failures of the code itself are worth sending back to the model
+                return finish(reject, error.stage === 'run'
+                    ? new SandboxError(error.message, error)
+                    : new Error(`Export failed: ${error.message}`));
+            }
+
+            finish(resolve, {
+                data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+                filename: name,
+                mimeType,
+                thumbnail: preview ? Buffer.from(preview.buffer, preview.byteOffset, preview.byteLength) : null,
+                parameters: used
+            });
+        });
+
+        // Out of memory lands here
+        worker.once('error', (error) => {
+            finish(reject, new SandboxError(`Sandbox crashed: ${error.message}`));
+        });
+
+        worker.once('exit', (exitCode) => {
+            finish(reject, new Error(`Render worker exited unexpectedly (code ${exitCode})`));
+        });
+
+        worker.postMessage({
+            code,
+            parameters,
+            format: exportFormat,
+            options: { scale, upAxis, filename },
+            thumbnail,
+            limits: DEFAULT_LIMITS
+        });
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * Headless Worker - Runs createObject code and encodes the result in Node
+ * Receives { code, parameters, format, options, thumbnail, limits } once,
+ * reports { stage: 'run' } and { stage: 'export' } as it goes so the parent can
+ * time each step, then replies with { data, filename, mimeType, thumbnail,
+ * parameters } or with the error that stopped it. One worker per job: the
+ * parent terminates it on timeout, which is the only way to stop a runaway loop.
+ */
+
+import { parentPort } from 'worker_threads';
+import { runCreateObject } from '../src/utils/runner.js';
+import { encodeModel } from '../src/utils/exporters.js';
+import { renderThumbnail } from './thumbnail.js';
+import { installDOMShims } from './domShims.js';
+
+installDOMShims();
+
+/**
+ * @param {Error} error
+ * @param {'run'|'export'} stage - Whether the code or the encoding failed
+ */
+function postError(error, stage) {
+    parentPort.postMessage({
+        error: {
+            stage,
+            name: error.name,
+            message: error.message,
+            line: error.line ?? null,
+            column: error.column ?? null
+        }
+    });
+}
+
+parentPort.once('message', async ({ code, parameters, format, options, thumbnail, limits }) => {
+    // Step 1: Run the code under the same limits as the browser sandbox
+    let object;
+    parentPort.postMessage({ stage: 'run' });
+    try {
+        object = runCreateObject(code, { limits, parameters });
+        object.updateMatrixWorld(true);
+    } catch (error) {
+        return postError(error, 'run');
+    }
+
+    // Step 2: Encode the model and, if asked, draw a preview
+    parentPort.postMessage({ stage: 'export' });
+    try {
+        const { blob, filename } = await encodeModel([object], format, options);
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const preview = thumbnail ? new Uint8Array(renderThumbnail(object, { size: thumbnail.size })) : null;
+
+        const { parameterSchema, parameters: values } = object.userData;
+
+        parentPort.postMessage(
+            {
+                data,
+                filename,
+                mimeType: blob.type,
+                thumbnail: preview,
+                parameters: parameterSchema ? { schema: parameterSchema, values } : null
+            },
+            [data.buffer, ...(preview ? [preview.buffer] : [])]
+        );
+    } catch (error) {
+        postError(error, 'export');
+    }
+});
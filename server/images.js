@@ -0,0 +1,75 @@
+/**
+ * Reference Images - Sketches and photos attached to a generation prompt
+ *
+ * The client sends an image as a base64 data URL, e.g.
+ *   "data:image/png;base64,iVBORw0KGgo..."
+ * which is passed to vision models unchanged. Only the formats vision APIs
+ * broadly accept are allowed, and the decoded bytes must really be that format.
+ */
+
+// Accepted MIME types, with the leading bytes every file of that type starts with
+export const IMAGE_TYPES = {
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+    // RIFF....WEBP; the size in bytes 4-7 is skipped below
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]]
+};
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Check a reference image attached to a generation request
+ * @param {*} image - Data URL from the request body
+ * @param {object} options
+ * @param {number} options.maxBytes - Largest decoded image accepted
+ * @returns {string|null} - Error message, or null if the image is usable
+ */
+export function validateReferenceImage(image, { maxBytes }) {
+    const match = typeof image === 'string' ? image.match(DATA_URL_PATTERN) : null;
+    if (!match || match[2].length % 4 !== 0) {
+        return 'image must be a base64 data URL';
+    }
+
+    const [, mimeType, base64] = match;
+    if (!Object.hasOwn(IMAGE_TYPES, mimeType)) {
+        return `image must be one of ${Object.keys(IMAGE_TYPES).join(', ')}`;
+    }
+
+    // Size from the encoded length, before decoding anything
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    const size = base64.length / 4 * 3 - padding;
+    if (size > maxBytes) {
+        return `image is larger than the ${formatMegabytes(maxBytes)} MB limit`;
+    }
+
+    const header = Buffer.from(base64.slice(0, 24), 'base64');
+    if (!hasSignature(mimeType, header)) {
+        return `image data is not a valid ${mimeType.slice(6).toUpperCase()} file`;
+    }
+
+    return null;
+}
+
+/**
+ * @param {string} mimeType - A key of IMAGE_TYPES
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {boolean}
+ */
+function hasSignature(mimeType, header) {
+    const matches = IMAGE_TYPES[mimeType].some(signature =>
+        signature.every((byte, i) => header[i] === byte)
+    );
+    if (mimeType === 'image/webp') {
+        return matches && header.toString('latin1', 8, 12) === 'WEBP';
+    }
+    return matches;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatMegabytes(bytes) {
+    return String(Math.round(bytes / 1024 / 1024 * 10) / 10);
+}
@@ -0,0 +1,204 @@
+/**
+ * Project Routes - REST API over the project store
+ *
+ *   GET    /api/projects       list summaries
+ *   POST   /api/projects       create { name }
+ *   GET    /api/projects/:id   load everything
+ *   PATCH  /api/projects/:id   rename and/or save { name, messages, history, objects }
+ *   DELETE /api/projects/:id   delete
+ */
+
+import express from 'express';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGES = 2000;
+const MAX_OBJECTS = 500;
+const MAX_NODE_OVERRIDES = 1000;
+const MAX_PARAMETERS = 16;
+// Transcript thumbnails are small JPEGs; full reference images are never saved
+const MAX_THUMBNAIL_LENGTH = 64 * 1024;
+
+const isString = value => typeof value === 'string';
+const isVector3 = value => Array.isArray(value)
+    && value.length === 3
+    && value.every(n => typeof n === 'number' && Number.isFinite(n));
+const isAssetRef = value => Boolean(value)
+    && isString(value.id)
+    && isString(value.format)
+    && isString(value.name);
+const isNodeOverride = value => value
+    && Array.isArray(value.path)
+    && value.path.every(n => Number.isInteger(n) && n >= 0)
+    && (value.name === undefined || (isString(value.name) && value.name.length <= MAX_NAME_LENGTH))
+    && (value.visible === undefined || typeof value.visible === 'boolean');
+const isThumbnail = value => isString(value)
+    && value.length <= MAX_THUMBNAIL_LENGTH
+    && value.startsWith('data:image/');
+const isCount = value => Number.isFinite(value) && value >= 0;
+const isUsage = value => Boolean(value)
+    && typeof value === 'object'
+    && ['promptTokens', 'completionTokens', 'totalTokens', 'latencyMs'].every(key => isCount(value[key]))
+    && (value.cost === null || isCount(value.cost))
+    && typeof value.cached === 'boolean'
+    && (value.model === undefined || (isString(value.model) && value.model.length <= MAX_NAME_LENGTH * 2));
+const isParameterValues = value => Boolean(value)
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && Object.keys(value).length <= MAX_PARAMETERS
+    && Object.values(value).every(v => typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v)));
+
+/**
+ * @param {*} name
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateName(name) {
+    if (!isString(name) || !name.trim()) {
+        return 'name must be a non-empty string';
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Check the saveable parts of a project
+ * @param {object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateContents({ messages, history, objects }) {
+    if (messages !== undefined) {
+        if (!Array.isArray(messages) || messages.length > MAX_MESSAGES) {
+            return `messages must be an array of at most ${MAX_MESSAGES} entries`;
+        }
+        const bad = messages.find(message => !message
+            || (message.type !== 'user' && message.type !== 'ai')
+            || !isString(message.content)
+            || (message.code !== undefined && !isString(message.code))
+            || (message.error !== undefined && !isString(message.error)));
+        if (bad !== undefined) {
+            return 'each message needs a type of "user" or "ai" and string content';
+        }
+        if (messages.some(message => message.image !== undefined && !isThumbnail(message.image))) {
+            return `message images must be image data URLs of at most ${MAX_THUMBNAIL_LENGTH / 1024} KB`;
+        }
+        if (messages.some(message => message.usage !== undefined && !isUsage(message.usage))) {
+            return 'message usage needs token counts, latencyMs, cost (or null) and cached';
+        }
+    }
+
+    if (history !== undefined) {
+        if (!Array.isArray(history)) {
+            return 'history must be an array';
+        }
+        const bad = history.find(turn => !turn
+            || (turn.role !== 'user' && turn.role !== 'assistant')
+            || !isString(turn.content));
+        if (bad !== undefined) {
+            return 'each history turn needs a role of "user" or "assistant" and string content';
+        }
+    }
+
+    if (objects !== undefined) {
+        if (!Array.isArray(objects) || objects.length > MAX_OBJECTS) {
+            return `objects must be an array of at most ${MAX_OBJECTS} entries`;
+        }
+        const bad = objects.find(object => !object
+            || !isString(object.id)
+            || (isString(object.code) === isAssetRef(object.asset))
+            || (object.prompt !== undefined && !isString(object.prompt))
+            || !object.transform
+            || !isVector3(object.transform.position)
+            || !isVector3(object.transform.rotation)
+            || !isVector3(object.transform.scale));
+        if (bad !== undefined) {
+            return 'each object needs an id, either code or an asset { id, format, name }, and a transform of position/rotation/scale triples';
+        }
+
+        const badNodes = objects.find(object => object.nodes !== undefined
+            && (!Array.isArray(object.nodes)
+                || object.nodes.length > MAX_NODE_OVERRIDES
+                || !object.nodes.every(isNodeOverride)));
+        if (badNodes !== undefined) {
+            return `object nodes must be at most ${MAX_NODE_OVERRIDES} { path, name?, visible? } entries`;
+        }
+
+        const badParameters = objects.find(object => object.parameters !== undefined
+            && !isParameterValues(object.parameters));
+        if (badParameters !== undefined) {
+            return `object parameters must map at most ${MAX_PARAMETERS} names to numbers or booleans`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Wrap an async handler so rejections become 500 responses
+ */
+function handle(fn) {
+    return async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            console.error('Project storage error:', error);
+            res.status(500).json({ error: 'Project storage failed', details: error.message });
+        }
+    };
+}
+
+/**
+ * @param {import('./storage.js').ProjectStore} store
+ * @returns {express.Router}
+ */
+export function createProjectRouter(store) {
+    const router = express.Router();
+
+    router.get('/', handle(async (req, res) => {
+        res.json({ projects: await store.list() });
+    }));
+
+    router.post('/', handle(async (req, res) => {
+        const name = req.body.name ?? 'Untitled project';
+        const error = validateName(name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.status(201).json(await store.create(name.trim()));
+    }));
+
+    router.get('/:id', handle(async (req, res) => {
+        const project = await store.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json(project);
+    }));
+
+    router.patch('/:id', handle(async (req, res) => {
+        const { name } = req.body;
+        const error = (name !== undefined && validateName(name)) || validateContents(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const project = await store.update(req.params.id, {
+            ...req.body,
+            name: name?.trim()
+        });
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json(project);
+    }));
+
+    router.delete('/:id', handle(async (req, res) => {
+        if (!await store.delete(req.params.id)) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.status(204).end();
+    }));
+
+    return router;
+}
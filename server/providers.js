@@ -0,0 +1,391 @@
+/**
+ * LLM Providers - Chat completion backends behind a common interface
+ *
+ * Every provider exposes:
+ *   listModels()                                  → [{ id, provider, model, label, vision }]
+ *   complete(model, messages, params, { signal, prompt }) → { content, usage }
+ *   stream(model, messages, params, { signal, prompt })   → async iterable of text deltas,
+ *                                                           returning { usage } once done
+ *
+ * prompt is the user's own request, without the context built around it;
+ * real providers ignore it and the mock matches on it.
+ *
+ * Model ids are "<provider>:<model>", e.g. "openrouter:google/gemini-3-flash-preview".
+ * Models flagged `vision` also accept OpenAI-style multi-part user turns:
+ *   [{ type: 'text', text }, { type: 'image_url', image_url: { url } }]
+ */
+
+// Sampling parameters used when a request does not override them
+export const DEFAULT_PARAMS = {
+    temperature: 0.7,
+    maxTokens: 2000
+};
+
+/**
+ * Raised when an upstream provider rejects or fails a request
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message - Summary for the client
+     * @param {number} status - HTTP status to relay
+     * @param {string} [details] - Upstream response body
+     */
+    constructor(message, status = 502, details = '') {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Split a comma-separated env var into a list of model names
+ * @param {string|undefined} value
+ * @param {string[]} fallback
+ * @returns {string[]}
+ */
+function parseModelList(value, fallback = []) {
+    if (!value) return fallback;
+    return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Text of a message, whether plain or split into parts
+ * @param {string|Array<{type: string, text?: string}>} content
+ * @returns {string}
+ */
+function messageText(content) {
+    if (typeof content === 'string') return content;
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Yield the content deltas of an OpenAI-style SSE completion stream
+ * @param {ReadableStream} body - Upstream response body
+ * @returns {AsyncGenerator<string, {usage: object|null}>} - Returns the usage block sent with the last chunk
+ */
+async function* readCompletionStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            // Skip blank separators and SSE comments (keep-alives)
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return { usage };
+
+            let chunk;
+            try {
+                chunk = JSON.parse(payload);
+            } catch {
+                // Ignore partial or non-JSON keep-alive payloads
+                continue;
+            }
+            if (chunk.usage) usage = chunk.usage;
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+        }
+    }
+    return { usage };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (llama.cpp, Ollama, vLLM, LM Studio, OpenAI itself...)
+ */
+export class OpenAICompatibleProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.id - Provider id used in model ids
+     * @param {string} options.label - Human-readable name
+     * @param {string} options.baseUrl - URL ending before /chat/completions
+     * @param {string} [options.apiKey] - Bearer token, if the server needs one
+     * @param {string[]} options.models - Model names to offer
+     * @param {string[]} [options.visionModels] - Those of them that accept images
+     * @param {object} [options.headers] - Extra request headers
+     * @param {object} [options.body] - Extra request body fields
+     */
+    constructor({ id, label, baseUrl, apiKey, models, visionModels = [], headers = {}, body = {} }) {
+        this.id = id;
+        this.label = label;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.models = models;
+        this.visionModels = new Set(visionModels);
+        this.headers = headers;
+        this.body = body;
+    }
+
+    listModels() {
+        return this.models.map(model => ({
+            id: `${this.id}:${model}`,
+            provider: this.id,
+            model,
+            label: `${model} (${this.label})`,
+            vision: this.visionModels.has(model)
+        }));
+    }
+
+    async request(model, messages, params, { stream, signal }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages,
+                temperature: params.temperature,
+                max_tokens: params.maxTokens,
+                stream,
+                // Ask for token counts on the final chunk of a stream too
+                ...(stream && { stream_options: { include_usage: true } }),
+                ...this.body
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.text();
+            console.error(`${this.label} error:`, errorData);
+            throw new ProviderError('Failed to generate 3D code', response.status, errorData);
+        }
+
+        return response;
+    }
+
+    async complete(model, messages, params, { signal } = {}) {
+        const response = await this.request(model, messages, params, { stream: false, signal });
+        const data = await response.json();
+
+        return {
+            content: data.choices?.[0]?.message?.content || '',
+            usage: data.usage ?? null
+        };
+    }
+
+    async *stream(model, messages, params, { signal } = {}) {
+        const response = await this.request(model, messages, params, { stream: true, signal });
+        return yield* readCompletionStream(response.body);
+    }
+}
+
+/**
+ * OpenRouter, with the attribution headers it asks for and cost reporting on
+ */
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey, models, visionModels }) {
+        super({
+            id: 'openrouter',
+            label: 'OpenRouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey,
+            models,
+            visionModels,
+            headers: {
+                'HTTP-Referer': 'http://localhost:5173',
+                'X-Title': '3D Chatbot Generator'
+            },
+            // Adds usage.cost, in USD
+            body: { usage: { include: true } }
+        });
+    }
+}
+
+// Canned objects returned by the mock provider, matched by keyword
+const MOCK_OBJECTS = [
+    {
+        keywords: ['snowman'],
+        code: `function createObject() {
+    const group = new THREE.Group();
+    const snow = new THREE.MeshStandardMaterial({ color: 0xffffff });
+    const sizes = [0.8, 0.6, 0.4];
+    let y = 0.8;
+    sizes.forEach((radius, i) => {
+        const ball = new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 16), snow);
+        ball.position.y = y;
+        group.add(ball);
+        y += radius + (sizes[i + 1] || 0) * 0.9;
+    });
+    const nose = new THREE.Mesh(
+        new THREE.ConeGeometry(0.06, 0.3, 16),
+        new THREE.MeshStandardMaterial({ color: 0xff8800 })
+    );
+    nose.position.set(0, 2.35, 0.45);
+    nose.rotation.x = Math.PI / 2;
+    group.add(nose);
+    return group;
+}`
+    },
+    {
+        keywords: ['sphere', 'ball'],
+        code: `function createObject() {
+    const geometry = new THREE.SphereGeometry(1, 32, 16);
+    const material = new THREE.MeshStandardMaterial({ color: 0x3366ff });
+    const sphere = new THREE.Mesh(geometry, material);
+    sphere.position.y = 1;
+    return sphere;
+}`
+    },
+    {
+        keywords: [],
+        code: `function createObject() {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = new THREE.MeshStandardMaterial({ color: 0xff3333 });
+    const cube = new THREE.Mesh(geometry, material);
+    cube.position.y = 0.5;
+    return cube;
+}`
+    }
+];
+
+/**
+ * Deterministic offline provider for tests and demos.
+ * Picks a canned object from keywords in the last user message.
+ */
+export class MockProvider {
+    constructor() {
+        this.id = 'mock';
+        this.label = 'Mock';
+    }
+
+    listModels() {
+        return [{
+            id: 'mock:canned',
+            provider: this.id,
+            model: 'canned',
+            label: 'Canned objects (Mock, offline)',
+            // Takes images so attachments can be tried offline; it ignores them
+            vision: true
+        }];
+    }
+
+    /**
+     * @param {Array<object>} messages
+     * @param {string} [request] - The user's own words; the last turn when missing
+     * @returns {string}
+     */
+    respond(messages, request) {
+        const prompt = (request ?? messageText(messages[messages.length - 1]?.content ?? '')).toLowerCase();
+        const match = MOCK_OBJECTS.find(({ keywords }) =>
+            keywords.length === 0 || keywords.some(word => prompt.includes(word))
+        );
+        return `Here is your object:\n\`\`\`javascript\n${match.code}\n\`\`\``;
+    }
+
+    /**
+     * Rough token counts at four characters per token; nothing is spent offline
+     */
+    usageFor(messages, content) {
+        const promptChars = messages.reduce((total, turn) => total + messageText(turn.content).length, 0);
+        return {
+            prompt_tokens: Math.ceil(promptChars / 4),
+            completion_tokens: Math.ceil(content.length / 4),
+            total_tokens: Math.ceil((promptChars + content.length) / 4),
+            cost: 0
+        };
+    }
+
+    async complete(model, messages, params, { prompt } = {}) {
+        const content = this.respond(messages, prompt);
+        return { content, usage: this.usageFor(messages, content) };
+    }
+
+    async *stream(model, messages, params, { prompt } = {}) {
+        const content = this.respond(messages, prompt);
+        for (let i = 0; i < content.length; i += 24) {
+            yield content.slice(i, i + 24);
+        }
+        return { usage: this.usageFor(messages, content) };
+    }
+}
+
+/**
+ * Looks up providers by model id
+ */
+export class ProviderRegistry {
+    /**
+     * @param {Array} providers - Configured providers, in display order
+     * @param {string} [defaultModel] - Preferred default model id
+     */
+    constructor(providers, defaultModel) {
+        this.providers = new Map(providers.map(provider => [provider.id, provider]));
+
+        const models = this.listModels();
+        this.defaultModel = models.some(entry => entry.id === defaultModel)
+            ? defaultModel
+            : models[0]?.id ?? null;
+    }
+
+    listModels() {
+        return [...this.providers.values()].flatMap(provider => provider.listModels());
+    }
+
+    /**
+     * Find the provider and model name for a model id
+     * @param {string} [modelId] - "<provider>:<model>"; the default when omitted
+     * @returns {{provider: object, model: string}|null}
+     */
+    resolve(modelId = this.defaultModel) {
+        const entry = this.listModels().find(model => model.id === modelId);
+        if (!entry) return null;
+        return { provider: this.providers.get(entry.provider), model: entry.model };
+    }
+
+    /**
+     * @param {string} [modelId] - The default when omitted
+     * @returns {boolean} - Whether the model accepts reference images
+     */
+    acceptsImages(modelId = this.defaultModel) {
+        return Boolean(this.listModels().find(model => model.id === modelId)?.vision);
+    }
+}
+
+/**
+ * Build the registry from environment variables
+ * @param {object} env - Usually process.env
+ * @returns {ProviderRegistry}
+ */
+export function createProviderRegistry(env) {
+    const providers = [];
+
+    const openRouterKey = env.OPENROUTER_API_KEY;
+    if (openRouterKey && openRouterKey !== 'your_api_key_here') {
+        providers.push(new OpenRouterProvider({
+            apiKey: openRouterKey,
+            models: parseModelList(env.OPENROUTER_MODELS, ['google/gemini-3-flash-preview']),
+            visionModels: parseModelList(env.OPENROUTER_VISION_MODELS, ['google/gemini-3-flash-preview'])
+        }));
+    }
+
+    if (env.OPENAI_BASE_URL) {
+        providers.push(new OpenAICompatibleProvider({
+            id: 'openai',
+            label: env.OPENAI_LABEL || 'OpenAI-compatible',
+            baseUrl: env.OPENAI_BASE_URL,
+            apiKey: env.OPENAI_API_KEY,
+            models: parseModelList(env.OPENAI_MODELS, ['default']),
+            visionModels: parseModelList(env.OPENAI_VISION_MODELS, [])
+        }));
+    }
+
+    if (env.ENABLE_MOCK_PROVIDER !== 'false') {
+        providers.push(new MockProvider());
+    }
+
+    return new ProviderRegistry(providers, env.DEFAULT_MODEL);
+}
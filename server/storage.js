@@ -0,0 +1,143 @@
+/**
+ * Project Storage - Persists projects to a JSON file on disk
+ *
+ * A project holds everything needed to rebuild a session:
+ *   { id, name, createdAt, updatedAt,
+ *     messages: [{ role, content, code?, error? }],  // chat transcript
+ *     history:  [{ role, content }],                 // turns sent to the model
+ *     objects:  [{ id, code | asset, prompt, transform: { position, rotation, scale }, nodes? }] }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export class ProjectStore {
+    /**
+     * @param {string} filePath - JSON file holding all projects
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.projects = null;
+        // Writes are chained so concurrent saves never interleave
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the file on first use
+     * @returns {Promise<Map<string, object>>}
+     */
+    async load() {
+        if (this.projects) return this.projects;
+
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            const list = JSON.parse(raw).projects ?? [];
+            this.projects = new Map(list.map(project => [project.id, project]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.projects = new Map();
+        }
+
+        return this.projects;
+    }
+
+    /**
+     * Write all projects, via a temp file so a crash never leaves half a file
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            const data = JSON.stringify({ projects: [...this.projects.values()] }, null, 2);
+            const tempPath = `${this.filePath}.tmp`;
+
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, data, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        });
+        // A failed write rejects its own caller but must not block the writes after it
+        this.writeQueue = write.catch(() => { });
+        return write;
+    }
+
+    /**
+     * List projects without their contents, most recently updated first
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+        const projects = await this.load();
+        return [...projects.values()]
+            .map(({ id, name, createdAt, updatedAt, messages, objects }) => ({
+                id,
+                name,
+                createdAt,
+                updatedAt,
+                messageCount: messages.length,
+                objectCount: objects.length
+            }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const projects = await this.load();
+        return projects.get(id) ?? null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<object>}
+     */
+    async create(name) {
+        const projects = await this.load();
+        const now = new Date().toISOString();
+        const project = {
+            id: randomUUID(),
+            name,
+            createdAt: now,
+            updatedAt: now,
+            messages: [],
+            history: [],
+            objects: []
+        };
+
+        projects.set(project.id, project);
+        await this.persist();
+        return project;
+    }
+
+    /**
+     * Apply changes to a project
+     * @param {string} id
+     * @param {object} changes - Any of name, messages, history, objects
+     * @returns {Promise<object|null>} - The updated project, or null if missing
+     */
+    async update(id, changes) {
+        const projects = await this.load();
+        const project = projects.get(id);
+        if (!project) return null;
+
+        ['name', 'messages', 'history', 'objects'].forEach(key => {
+            if (changes[key] !== undefined) project[key] = changes[key];
+        });
+        project.updatedAt = new Date().toISOString();
+
+        await this.persist();
+        return project;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} - Whether a project was deleted
+     */
+    async delete(id) {
+        const projects = await this.load();
+        if (!projects.delete(id)) return false;
+
+        await this.persist();
+        return true;
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Thumbnail Renderer - Software rasterizer for PNG previews without a GPU
+ * Flat-shaded, z-buffered triangles from a fixed three-quarter view: enough
+ * to tell what a model is, not a substitute for the WebGL viewer.
+ */
+
+import * as THREE from 'three';
+import { deflateSync } from 'zlib';
+
+// Same backdrop as the browser viewer
+const BACKGROUND = new THREE.Color(0x1a1a2e);
+const LIGHT_DIRECTION = new THREE.Vector3(0.5, 1, 0.7).normalize();
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.8, 1.4).normalize();
+const AMBIENT = 0.3;
+// Rendered at this multiple of the output size, then averaged down for anti-aliasing
+const SUPERSAMPLE = 2;
+
+/**
+ * Render an object to a PNG
+ * @param {THREE.Object3D} object
+ * @param {object} [options]
+ * @param {number} [options.size=256] - Width and height in pixels
+ * @returns {Buffer} - PNG file bytes
+ */
+export function renderThumbnail(object, { size = 256 } = {}) {
+    const width = size * SUPERSAMPLE;
+    const height = size * SUPERSAMPLE;
+    const target = {
+        width,
+        height,
+        color: new Float32Array(width * height * 3),
+        depth: new Float32Array(width * height).fill(Infinity)
+    };
+    for (let i = 0; i < width * height; i++) {
+        BACKGROUND.toArray(target.color, i * 3);
+    }
+
+    object.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object);
+    if (!box.isEmpty()) {
+        const camera = frameCamera(box);
+        object.traverseVisible(node => {
+            if (node.isMesh) drawMesh(node, camera, target);
+        });
+    }
+
+    return encodePNG(size, size, downsample(target, size));
+}
+
+/**
+ * Place a camera so the whole bounding box fits the frame
+ * @param {THREE.Box3} box
+ * @returns {THREE.PerspectiveCamera}
+ */
+function frameCamera(box) {
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const radius = Math.max(sphere.radius, 0.001);
+
+    const camera = new THREE.PerspectiveCamera(35, 1);
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2)) * 1.05;
+    camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance);
+    camera.lookAt(sphere.center);
+    camera.near = Math.max(distance - radius * 1.5, distance * 0.01);
+    camera.far = distance + radius * 1.5;
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+    return camera;
+}
+
+/**
+ * Shade and rasterize every triangle of a mesh
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {object} target - Color and depth buffers
+ */
+function drawMesh(mesh, camera, target) {
+    const { geometry } = mesh;
+    const position = geometry.attributes.position;
+    if (!position) return;
+
+    const { index } = geometry;
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+    // World and screen positions for every vertex
+    const world = new Float32Array(position.count * 3);
+    const screen = new Float32Array(position.count * 3);
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        vertex.toArray(world, i * 3);
+        vertex.applyMatrix4(viewProjection);
+        screen[i * 3] = (vertex.x + 1) / 2 * target.width;
+        screen[i * 3 + 1] = (1 - vertex.y) / 2 * target.height;
+        screen[i * 3 + 2] = vertex.z;
+    }
+
+    const materials = [mesh.material].flat();
+    const groups = materials.length > 1 && geometry.groups.length > 0
+        ? geometry.groups
+        : [{ start: 0, count: Infinity, materialIndex: 0 }];
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const toCamera = new THREE.Vector3();
+    const shaded = new THREE.Color();
+    const total = index ? index.count : position.count;
+
+    groups.forEach(group => {
+        const material = materials[group.materialIndex];
+        if (!material || !material.visible) return;
+
+        const base = material.color ?? new THREE.Color(1, 1, 1);
+        const emissive = material.emissive ?? new THREE.Color(0, 0, 0);
+        const end = Math.min(group.start + group.count, total);
+
+        for (let i = group.start; i + 2 < end; i += 3) {
+            const i0 = index ? index.getX(i) : i;
+            const i1 = index ? index.getX(i + 1) : i + 1;
+            const i2 = index ? index.getX(i + 2) : i + 2;
+
+            a.fromArray(world, i0 * 3);
+            b.fromArray(world, i1 * 3);
+            c.fromArray(world, i2 * 3);
+            normal.subVectors(c, b).cross(edge.subVectors(a, b)).normalize();
+
+            // Light both faces: generated code often uses DoubleSide planes
+            toCamera.subVectors(camera.position, a);
+            if (normal.dot(toCamera) < 0) normal.negate();
+
+            const light = AMBIENT + (1 - AMBIENT) * Math.max(0, normal.dot(LIGHT_DIRECTION));
+            shaded.copy(base).multiplyScalar(light).add(emissive);
+
+            fillTriangle(target, screen, i0, i1, i2, shaded);
+        }
+    });
+}
+
+/**
+ * Z-buffered scanline fill of one triangle
+ * @param {object} target
+ * @param {Float32Array} screen - x, y (pixels) and z (NDC) per vertex
+ * @param {number} i0
+ * @param {number} i1
+ * @param {number} i2
+ * @param {THREE.Color} color
+ */
+function fillTriangle(target, screen, i0, i1, i2, color) {
+    const x0 = screen[i0 * 3], y0 = screen[i0 * 3 + 1], z0 = screen[i0 * 3 + 2];
+    const x1 = screen[i1 * 3], y1 = screen[i1 * 3 + 1], z1 = screen[i1 * 3 + 2];
+    const x2 = screen[i2 * 3], y2 = screen[i2 * 3 + 1], z2 = screen[i2 * 3 + 2];
+
+    // Clipped by the near or far plane
+    if (Math.abs(z0) > 1 || Math.abs(z1) > 1 || Math.abs(z2) > 1) return;
+
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (area === 0 || !Number.isFinite(area)) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const maxX = Math.min(target.width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const maxY = Math.min(target.height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    for (let y = minY; y <= maxY; y++) {
+        const py = y + 0.5;
+        for (let x = minX; x <= maxX; x++) {
+            const px = x + 0.5;
+            const w0 = ((x1 - px) * (y2 - py) - (x2 - px) * (y1 - py)) / area;
+            const w1 = ((x2 - px) * (y0 - py) - (x0 - px) * (y2 - py)) / area;
+            const w2 = 1 - w0 - w1;
+            if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+            const z = w0 * z0 + w1 * z1 + w2 * z2;
+            const pixel = y * target.width + x;
+            if (z >= target.depth[pixel]) continue;
+
+            target.depth[pixel] = z;
+            color.toArray(target.color, pixel * 3);
+        }
+    }
+}
+
+/**
+ * Average supersampled linear colors into 8-bit sRGB
+ * @param {object} target
+ * @param {number} size - Output width and height
+ * @returns {Uint8Array} - RGB rows
+ */
+function downsample(target, size) {
+    const pixels = new Uint8Array(size * size * 3);
+    const samples = SUPERSAMPLE * SUPERSAMPLE;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            for (let channel = 0; channel < 3; channel++) {
+                let sum = 0;
+                for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+                    for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+                        const source = (y * SUPERSAMPLE + sy) * target.width + (x * SUPERSAMPLE + sx);
+                        sum += target.color[source * 3 + channel];
+                    }
+                }
+                const srgb = THREE.ColorManagement.enabled
+                    ? linearToSRGB(Math.min(1, sum / samples))
+                    : Math.min(1, sum / samples);
+                pixels[(y * size + x) * 3 + channel] = Math.round(srgb * 255);
+            }
+        }
+    }
+
+    return pixels;
+}
+
+/**
+ * @param {number} value - Linear channel 0-1
+ * @returns {number} - sRGB channel 0-1
+ */
+function linearToSRGB(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * @param {Buffer} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Minimal truecolor PNG encoder
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} pixels - RGB or RGBA rows
+ * @param {3|4} [channels=3]
+ * @returns {Buffer}
+ */
+export function encodePNG(width, height, pixels, channels = 3) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = channels === 4 ? 6 : 2; // truecolor RGBA or RGB
+    // compression, filter and interlace stay 0
+
+    // Every row starts with filter type 0 (none)
+    const rowLength = width * channels;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
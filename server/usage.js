@@ -0,0 +1,297 @@
+/**
+ * Usage Ledger - Tokens, cost and outcome of every model call
+ *
+ * One JSON object per line in DATA_DIR/usage.jsonl, appended as calls finish:
+ *   { type: 'generation', id, at, route, model, promptTokens, completionTokens,
+ *     totalTokens, cost, latencyMs, success, cached, accepted, error? }
+ *   { type: 'outcome', id, accepted, error? }   // the page ran the code later
+ *
+ *   GET  /api/usage?days=30           totals with per-day and per-model breakdowns
+ *   POST /api/usage/:id/outcome       { accepted, error? } from the page's sandbox
+ *
+ * Cost comes from the provider when it reports one (OpenRouter does), otherwise
+ * from the MODEL_PRICES table, otherwise it is unknown (null).
+ */
+
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const MAX_DAYS = 366;
+const MAX_ERROR_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class UsageLedger {
+    /**
+     * @param {string} filePath - JSON Lines file holding the ledger
+     * @param {object} [options]
+     * @param {Object<string, {input: number, output: number}>} [options.prices] - USD per million tokens, by model id
+     */
+    constructor(filePath, { prices = {} } = {}) {
+        this.filePath = filePath;
+        this.prices = prices;
+        this.entries = null;
+        // Appends are chained so lines never interleave
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the file on first use, folding outcomes into their generations
+     * @returns {Promise<Map<string, object>>}
+     */
+    async load() {
+        if (this.entries) return this.entries;
+
+        const entries = new Map();
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            raw.split('\n').filter(Boolean).forEach((line) => {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    return; // A line cut short by a crash
+                }
+                if (record.type === 'generation') {
+                    entries.set(record.id, record);
+                } else if (record.type === 'outcome' && entries.has(record.id)) {
+                    applyOutcome(entries.get(record.id), record);
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.entries = entries;
+        return entries;
+    }
+
+    /**
+     * Log one model call
+     * @param {object} call
+     * @param {string} call.route - 'generate', 'stream' or 'render'
+     * @param {string} call.model - Model id
+     * @param {object|null} call.usage - The provider's usage block, if any
+     * @param {number} call.latencyMs
+     * @param {boolean} call.success - Whether the model answered
+     * @param {boolean} [call.cached=false] - Answered without a new upstream call
+     * @param {boolean|null} [call.accepted=null] - Whether the sandbox ran the code; null until known
+     * @param {string} [call.error]
+     * @returns {Promise<object>} - The entry
+     */
+    async record({ route, model, usage, latencyMs, success, cached = false, accepted = null, error }) {
+        const entries = await this.load();
+
+        // Nothing was spent on a cached answer
+        const tokens = cached ? {} : usage ?? {};
+        const promptTokens = tokens.prompt_tokens ?? 0;
+        const completionTokens = tokens.completion_tokens ?? 0;
+
+        const entry = {
+            type: 'generation',
+            id: randomUUID(),
+            at: new Date().toISOString(),
+            route,
+            model,
+            promptTokens,
+            completionTokens,
+            totalTokens: tokens.total_tokens ?? promptTokens + completionTokens,
+            cost: cached ? 0 : this.costOf(model, tokens),
+            latencyMs,
+            success,
+            cached,
+            accepted
+        };
+        if (error) entry.error = String(error).slice(0, MAX_ERROR_LENGTH);
+
+        entries.set(entry.id, entry);
+        this.append(entry);
+        return entry;
+    }
+
+    /**
+     * Record whether the page's sandbox accepted a generation's code
+     * @param {string} id
+     * @param {{accepted: boolean, error?: string}} outcome
+     * @returns {Promise<object|null>} - The updated entry, or null if unknown
+     */
+    async setOutcome(id, { accepted, error }) {
+        const entries = await this.load();
+        const entry = entries.get(id);
+        if (!entry) return null;
+
+        const record = { type: 'outcome', id, accepted };
+        if (error) record.error = String(error).slice(0, MAX_ERROR_LENGTH);
+
+        applyOutcome(entry, record);
+        this.append(record);
+        return entry;
+    }
+
+    /**
+     * Totals over a period, broken down by UTC day and by model
+     * @param {object} [options]
+     * @param {number} [options.days=30] - How many days back, including today
+     * @returns {Promise<{since: string, totals: object, byDay: Array<object>, byModel: Array<object>}>}
+     */
+    async summarize({ days = 30 } = {}) {
+        const entries = await this.load();
+        const since = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+
+        const totals = emptyTotals();
+        const byDay = new Map();
+        const byModel = new Map();
+
+        entries.forEach((entry) => {
+            const date = entry.at.slice(0, 10);
+            if (date < since) return;
+
+            if (!byDay.has(date)) byDay.set(date, { date, ...emptyTotals() });
+            if (!byModel.has(entry.model)) byModel.set(entry.model, { model: entry.model, ...emptyTotals() });
+
+            [totals, byDay.get(date), byModel.get(entry.model)].forEach(bucket => addEntry(bucket, entry));
+        });
+
+        return {
+            since,
+            totals: finishTotals(totals),
+            byDay: [...byDay.values()].map(finishTotals).sort((a, b) => b.date.localeCompare(a.date)),
+            byModel: [...byModel.values()].map(finishTotals).sort((a, b) => b.totalTokens - a.totalTokens)
+        };
+    }
+
+    /**
+     * @param {string} model - Model id
+     * @param {object} usage - Provider usage block
+     * @returns {number|null} - USD, or null if unknown
+     */
+    costOf(model, usage) {
+        if (typeof usage.cost === 'number') return usage.cost;
+
+        const price = this.prices[model];
+        if (!price || usage.prompt_tokens === undefined) return null;
+        return ((usage.prompt_tokens ?? 0) * price.input + (usage.completion_tokens ?? 0) * price.output) / 1e6;
+    }
+
+    /**
+     * @param {object} record - One ledger line
+     */
+    append(record) {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+            })
+            .catch(error => console.warn('Usage ledger write failed:', error.message));
+    }
+}
+
+/**
+ * @param {object} entry - Generation entry, updated in place
+ * @param {{accepted: boolean, error?: string}} outcome
+ */
+function applyOutcome(entry, { accepted, error }) {
+    entry.accepted = accepted;
+    if (error) {
+        entry.error = error;
+    } else {
+        delete entry.error;
+    }
+}
+
+function emptyTotals() {
+    return {
+        requests: 0,
+        succeeded: 0,
+        failed: 0,
+        cached: 0,
+        accepted: 0,
+        rejected: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+        unpricedRequests: 0,
+        latencyMs: 0
+    };
+}
+
+/**
+ * @param {object} bucket - From emptyTotals()
+ * @param {object} entry - Generation entry
+ */
+function addEntry(bucket, entry) {
+    bucket.requests++;
+    bucket[entry.success ? 'succeeded' : 'failed']++;
+    if (entry.cached) bucket.cached++;
+    if (entry.accepted === true) bucket.accepted++;
+    if (entry.accepted === false) bucket.rejected++;
+    bucket.promptTokens += entry.promptTokens;
+    bucket.completionTokens += entry.completionTokens;
+    bucket.totalTokens += entry.totalTokens;
+    if (entry.cost === null) {
+        if (entry.success) bucket.unpricedRequests++;
+    } else {
+        bucket.cost += entry.cost;
+    }
+    bucket.latencyMs += entry.latencyMs;
+}
+
+/**
+ * Replace the summed latency with an average
+ * @param {object} bucket
+ * @returns {object}
+ */
+function finishTotals({ latencyMs, ...bucket }) {
+    return {
+        ...bucket,
+        cost: Math.round(bucket.cost * 1e6) / 1e6,
+        averageLatencyMs: bucket.requests ? Math.round(latencyMs / bucket.requests) : 0
+    };
+}
+
+/**
+ * @param {UsageLedger} ledger
+ * @returns {express.Router}
+ */
+export function createUsageRouter(ledger) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!(Number.isInteger(days) && days >= 1 && days <= MAX_DAYS)) {
+            return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_DAYS}` });
+        }
+
+        try {
+            res.json(await ledger.summarize({ days }));
+        } catch (error) {
+            console.error('Usage ledger error:', error);
+            res.status(500).json({ error: 'Usage ledger failed', details: error.message });
+        }
+    });
+
+    router.post('/:id/outcome', async (req, res) => {
+        const { accepted, error } = req.body ?? {};
+        if (typeof accepted !== 'boolean') {
+            return res.status(400).json({ error: 'accepted must be a boolean' });
+        }
+        if (error !== undefined && typeof error !== 'string') {
+            return res.status(400).json({ error: 'error must be a string' });
+        }
+
+        try {
+            const entry = await ledger.setOutcome(req.params.id, { accepted, error });
+            if (!entry) {
+                return res.status(404).json({ error: 'Generation not found' });
+            }
+            res.json(entry);
+        } catch (failure) {
+            console.error('Usage ledger error:', failure);
+            res.status(500).json({ error: 'Usage ledger failed', details: failure.message });
+        }
+    });
+
+    return router;
+}
@@ -2,14 +2,44 @@
  * Chat Component - Manages chat UI and messaging logic
  */
 
+import { prepareReferenceImage } from '../utils/referenceImage.js';
+
+// Characters that would otherwise be read as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * @param {string} text
+ * @returns {string} - Safe to put in innerHTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 export class ChatComponent {
     constructor(options) {
         this.messagesContainer = options.messagesContainer;
         this.input = options.input;
         this.sendBtn = options.sendBtn;
+        this.refineMode = options.refineMode || null;
+        this.refineToggle = options.refineToggle || null;
+        this.freshToggle = options.freshToggle || null;
+        this.variationsSelect = options.variationsSelect || null;
+        this.modelSelect = options.modelSelect || null;
+        this.attachBtn = options.attachBtn || null;
+        this.imageInput = options.imageInput || null;
+        this.attachment = options.attachment || null;
+        this.models = [];
         this.onSendMessage = options.onSendMessage || (() => { });
 
+        // Reference image waiting to go out with the next message: { dataUrl, thumbnail }
+        this.pendingImage = null;
+        this.maxImageBytes = Infinity;
+
         this.isLoading = false;
+        // Everything shown in the chat, in a form that can be saved and replayed
+        this.transcript = [];
+        // The static welcome message survives clearMessages()
+        this.welcomeMessage = this.messagesContainer.firstElementChild;
         this.init();
     }
 
@@ -27,6 +57,26 @@ export class ChatComponent {
 
         // Auto-resize textarea
         this.input.addEventListener('input', () => this.autoResize());
+
+        if (this.attachBtn && this.imageInput && this.attachment) {
+            this.attachBtn.addEventListener('click', () => this.imageInput.click());
+            this.imageInput.addEventListener('change', () => {
+                const [file] = this.imageInput.files;
+                this.imageInput.value = '';
+                if (file) this.attachImage(file);
+            });
+
+            // Pasting a screenshot or copied image attaches it
+            this.input.addEventListener('paste', (e) => {
+                const file = [...e.clipboardData.files].find(item => item.type.startsWith('image/'));
+                if (!file) return;
+                e.preventDefault();
+                this.attachImage(file);
+            });
+
+            this.attachment.querySelector('button').addEventListener('click', () => this.clearImage());
+            this.modelSelect?.addEventListener('change', () => this.updateAttachButton());
+        }
     }
 
     autoResize() {
@@ -38,33 +88,168 @@ export class ChatComponent {
         const message = this.input.value.trim();
         if (!message || this.isLoading) return;
 
+        const image = this.pendingImage;
+
         // Add user message
-        this.addMessage(message, 'user');
+        this.addMessage(message, 'user', { image: image?.thumbnail });
 
         // Clear input
         this.input.value = '';
         this.autoResize();
+        this.clearImage();
 
         // Trigger callback
-        this.onSendMessage(message);
+        this.onSendMessage(message, {
+            refine: this.isRefining(),
+            model: this.getSelectedModel(),
+            image: image?.dataUrl,
+            fresh: this.freshToggle?.checked ?? false,
+            variations: Number(this.variationsSelect?.value ?? 1)
+        });
+    }
+
+    /**
+     * @param {number} maxBytes - Largest reference image the server accepts
+     */
+    setImageLimit(maxBytes) {
+        this.maxImageBytes = maxBytes;
+    }
+
+    /**
+     * Scale an image down and hold it for the next message
+     * @param {File} file
+     */
+    async attachImage(file) {
+        if (this.isLoading) return;
+        if (!this.selectedModelAcceptsImages()) {
+            this.render('I couldn\'t attach that image.', 'ai', {
+                error: 'The selected model does not accept images. Pick a vision model first.'
+            });
+            return;
+        }
+
+        try {
+            this.pendingImage = await prepareReferenceImage(file, { maxBytes: this.maxImageBytes });
+        } catch (error) {
+            this.render('I couldn\'t attach that image.', 'ai', { error: error.message });
+            return;
+        }
+
+        this.attachment.querySelector('img').src = this.pendingImage.thumbnail;
+        this.attachment.hidden = false;
+        this.input.focus();
+    }
+
+    clearImage() {
+        this.pendingImage = null;
+        if (!this.attachment) return;
+        this.attachment.hidden = true;
+        this.attachment.querySelector('img').removeAttribute('src');
+    }
+
+    /**
+     * @returns {boolean} - Whether the picked model can be sent a reference image
+     */
+    selectedModelAcceptsImages() {
+        const selected = this.getSelectedModel();
+        return this.models.some(model => model.id === selected && model.vision);
+    }
+
+    /**
+     * Only offer attachments when the picked model can see them
+     */
+    updateAttachButton() {
+        if (!this.attachBtn) return;
+        const accepts = this.selectedModelAcceptsImages();
+        this.attachBtn.disabled = this.isLoading || !accepts;
+        this.attachBtn.title = accepts
+            ? 'Attach a reference image (or paste one)'
+            : 'The selected model does not accept images';
+    }
+
+    /**
+     * Fill the model picker
+     * @param {Array<{id: string, label: string, vision?: boolean}>} models - Available models
+     * @param {string|null} selectedId - Model to preselect
+     */
+    setModels(models, selectedId) {
+        if (!this.modelSelect) return;
+
+        this.models = models;
+        this.modelSelect.innerHTML = '';
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.label;
+            this.modelSelect.appendChild(option);
+        });
+
+        if (models.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No models configured';
+            this.modelSelect.appendChild(option);
+        } else if (selectedId) {
+            this.modelSelect.value = selectedId;
+        }
+
+        this.modelSelect.disabled = models.length === 0 || this.isLoading;
+        this.updateAttachButton();
+    }
+
+    /**
+     * Model id chosen in the picker
+     * @returns {string|undefined} - Undefined lets the server use its default
+     */
+    getSelectedModel() {
+        if (!this.modelSelect) return undefined;
+        return this.modelSelect.value || undefined;
+    }
+
+    /**
+     * Show the "edit" toggle for the selected object, or hide it
+     * @param {string|null} label - Name of the object follow-ups would edit
+     */
+    setRefineTarget(label) {
+        if (!this.refineMode) return;
+        this.refineMode.hidden = !label;
+        this.refineMode.querySelector('span').textContent = label ? `Edit ${label}` : '';
+    }
+
+    /**
+     * Whether the next prompt should edit the current object
+     * @returns {boolean}
+     */
+    isRefining() {
+        if (!this.refineMode || !this.refineToggle) return false;
+        return !this.refineMode.hidden && this.refineToggle.checked;
     }
 
     /**
      * Add a message to the chat
      * @param {string} content - Message content
      * @param {string} type - 'user' or 'ai'
-     * @param {object} options - Additional options (code, error)
+     * @param {object} options - Additional options (code, error, image thumbnail, usage)
      */
     addMessage(content, type, options = {}) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${type}-message`;
+        this.render(content, type, options);
+        this.record(content, type, options);
+    }
 
-        const avatar = document.createElement('div');
-        avatar.className = 'message-avatar';
-        avatar.textContent = type === 'ai' ? '◈' : '●';
+    /**
+     * Draw a message without adding it to the transcript
+     */
+    render(content, type, options = {}) {
+        const { messageDiv, contentDiv } = this.createMessageElement(type);
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
+        // Reference image sent with the message
+        if (options.image) {
+            const image = document.createElement('img');
+            image.className = 'message-image';
+            image.src = options.image;
+            image.alt = 'Reference image';
+            contentDiv.appendChild(image);
+        }
 
         // Main content
         const textP = document.createElement('p');
@@ -81,19 +266,222 @@ export class ChatComponent {
 
         // Error message if provided
         if (options.error) {
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'message-error';
-            errorDiv.textContent = options.error;
-            contentDiv.appendChild(errorDiv);
+            contentDiv.appendChild(this.createErrorElement(options.error));
         }
 
-        messageDiv.appendChild(avatar);
-        messageDiv.appendChild(contentDiv);
+        if (options.usage) {
+            contentDiv.appendChild(this.createUsageElement(options.usage));
+        }
 
         this.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
     }
 
+    /**
+     * Add an AI message whose code block fills in while the response streams
+     * @returns {{update: (text: string) => void, finish: (content: string, options?: object) => void}}
+     */
+    addStreamingMessage() {
+        const { messageDiv, contentDiv } = this.createMessageElement('ai');
+
+        const textP = document.createElement('p');
+        textP.textContent = 'Writing code...';
+        contentDiv.appendChild(textP);
+
+        const codeBlock = document.createElement('pre');
+        codeBlock.className = 'message-code streaming';
+        contentDiv.appendChild(codeBlock);
+
+        this.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+
+        return {
+            update: (text) => {
+                codeBlock.textContent = text;
+                codeBlock.scrollTop = codeBlock.scrollHeight;
+                this.scrollToBottom();
+            },
+            finish: (content, options = {}) => {
+                textP.innerHTML = this.formatContent(content);
+                codeBlock.classList.remove('streaming');
+
+                if (options.code) {
+                    codeBlock.textContent = this.truncateCode(options.code);
+                    codeBlock.scrollTop = 0;
+                }
+
+                if (options.error) {
+                    contentDiv.appendChild(this.createErrorElement(options.error));
+                }
+
+                if (options.usage) {
+                    contentDiv.appendChild(this.createUsageElement(options.usage));
+                }
+
+                this.record(content, 'ai', options);
+                this.scrollToBottom();
+            }
+        };
+    }
+
+    /**
+     * Add an AI message with a strip of candidate thumbnails to choose from
+     * @param {string} content - Message content
+     * @param {Array<{thumbnail: string, label: string}>} candidates - Working candidates, in order
+     * @param {object} [options]
+     * @param {string} [options.error] - What went wrong with the failed candidates
+     * @param {object} [options.usage] - Combined usage of every candidate
+     * @param {(index: number) => void} [options.onPick] - A candidate was chosen
+     * @returns {{close: () => void}} - close() stops further picks
+     */
+    addVariations(content, candidates, options = {}) {
+        const onPick = options.onPick || (() => { });
+        const { messageDiv, contentDiv } = this.createMessageElement('ai');
+
+        const textP = document.createElement('p');
+        textP.innerHTML = this.formatContent(content);
+        contentDiv.appendChild(textP);
+
+        const strip = document.createElement('div');
+        strip.className = 'variation-strip';
+        const buttons = candidates.map(({ thumbnail, label }, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'variation-btn';
+            button.title = `Add ${label} to the scene`;
+
+            const image = document.createElement('img');
+            image.src = thumbnail;
+            image.alt = label;
+            const caption = document.createElement('span');
+            caption.textContent = label;
+            button.append(image, caption);
+
+            button.addEventListener('click', () => {
+                close();
+                button.classList.add('chosen');
+                onPick(index);
+            });
+            strip.appendChild(button);
+            return button;
+        });
+        contentDiv.appendChild(strip);
+
+        const close = () => buttons.forEach(button => { button.disabled = true; });
+
+        if (options.error) {
+            contentDiv.appendChild(this.createErrorElement(options.error));
+        }
+
+        if (options.usage) {
+            contentDiv.appendChild(this.createUsageElement(options.usage));
+        }
+
+        this.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+
+        // The thumbnails aren't saved; the pick is, as its own message
+        this.record(content, 'ai', options);
+        return { close };
+    }
+
+    /**
+     * Append a message to the saveable transcript
+     */
+    record(content, type, options = {}) {
+        const entry = { type, content };
+        if (options.code) entry.code = options.code;
+        if (options.error) entry.error = options.error;
+        if (options.image) entry.image = options.image;
+        if (options.usage) entry.usage = options.usage;
+        this.transcript.push(entry);
+    }
+
+    /**
+     * @returns {Array<{type: string, content: string, code?: string, error?: string, image?: string, usage?: object}>}
+     */
+    getTranscript() {
+        return this.transcript;
+    }
+
+    /**
+     * Replace the chat with a saved transcript
+     * @param {Array<{type: string, content: string, code?: string, error?: string, image?: string, usage?: object}>} messages
+     */
+    loadTranscript(messages) {
+        this.clearMessages();
+        messages.forEach(({ type, content, code, error, image, usage }) => {
+            this.render(content, type, { code, error, image, usage });
+        });
+        this.transcript = [...messages];
+    }
+
+    /**
+     * Remove every message except the welcome message
+     */
+    clearMessages() {
+        [...this.messagesContainer.children].forEach(child => {
+            if (child !== this.welcomeMessage) child.remove();
+        });
+        this.transcript = [];
+    }
+
+    /**
+     * Build the avatar + content skeleton shared by all messages
+     * @param {string} type - 'user' or 'ai'
+     * @returns {{messageDiv: HTMLElement, contentDiv: HTMLElement}}
+     */
+    createMessageElement(type) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}-message`;
+
+        const avatar = document.createElement('div');
+        avatar.className = 'message-avatar';
+        avatar.textContent = type === 'ai' ? '◈' : '●';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        messageDiv.appendChild(avatar);
+        messageDiv.appendChild(contentDiv);
+
+        return { messageDiv, contentDiv };
+    }
+
+    /**
+     * Build an error box for a message
+     * @param {string} error - Error text
+     * @returns {HTMLElement}
+     */
+    createErrorElement(error) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'message-error';
+        errorDiv.textContent = error;
+        return errorDiv;
+    }
+
+    /**
+     * Build the token, cost and timing line under an AI message
+     * @param {{model?: string, promptTokens: number, completionTokens: number, totalTokens: number, cost: number|null, latencyMs: number, cached: boolean}} usage
+     * @returns {HTMLElement}
+     */
+    createUsageElement(usage) {
+        const parts = [];
+        if (usage.cached) {
+            parts.push('cached, no tokens used');
+        } else {
+            parts.push(`${usage.totalTokens.toLocaleString('en-US')} tokens (${usage.promptTokens.toLocaleString('en-US')} in, ${usage.completionTokens.toLocaleString('en-US')} out)`);
+            if (usage.cost !== null) parts.push(`$${usage.cost < 0.01 ? usage.cost.toFixed(4) : usage.cost.toFixed(2)}`);
+        }
+        parts.push(`${(usage.latencyMs / 1000).toFixed(1)} s`);
+        if (usage.model) parts.push(usage.model);
+
+        const usageDiv = document.createElement('div');
+        usageDiv.className = 'message-usage';
+        usageDiv.textContent = parts.join(' · ');
+        return usageDiv;
+    }
+
     /**
      * Add typing indicator
      * @returns {HTMLElement} - The indicator element (for removal)
@@ -132,9 +520,10 @@ export class ChatComponent {
 
     /**
      * Format content (basic markdown support)
+     * Text is escaped first: transcripts come from saved and shared project files
      */
     formatContent(content) {
-        return content
+        return escapeHtml(content)
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.*?)\*/g, '<em>$1</em>')
             .replace(/`(.*?)`/g, '<code>$1</code>');
@@ -165,5 +554,15 @@ export class ChatComponent {
         this.isLoading = loading;
         this.sendBtn.disabled = loading;
         this.input.disabled = loading;
+        if (this.refineToggle) this.refineToggle.disabled = loading;
+        if (this.freshToggle) this.freshToggle.disabled = loading;
+        if (this.variationsSelect) this.variationsSelect.disabled = loading;
+        if (this.modelSelect && this.models.length > 0) {
+            this.modelSelect.disabled = loading;
+        }
+        if (this.attachment) {
+            this.attachment.querySelector('button').disabled = loading;
+        }
+        this.updateAttachButton();
     }
 }
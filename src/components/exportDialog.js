@@ -0,0 +1,89 @@
+/**
+ * Export Dialog - Pick a model format and its options
+ * Only the settings that apply to the chosen format are shown.
+ */
+
+import { EXPORT_FORMATS } from '../utils/exporters.js';
+
+export class ExportDialog {
+    /**
+     * @param {object} options
+     * @param {HTMLDialogElement} options.dialog - Dialog wrapping the export form
+     * @param {(format: string, settings: object) => Promise<void>} options.onExport - Runs the export;
+     *     a rejection is shown in the dialog
+     */
+    constructor(options) {
+        this.dialog = options.dialog;
+        this.form = this.dialog.querySelector('form');
+        this.error = this.dialog.querySelector('.export-error');
+        this.onExport = options.onExport || (async () => { });
+
+        this.init();
+    }
+
+    init() {
+        const { format } = this.form.elements;
+        Object.entries(EXPORT_FORMATS).forEach(([id, spec]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = spec.label;
+            format.appendChild(option);
+        });
+
+        format.addEventListener('change', () => this.showOptionsFor(format.value));
+        this.dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => this.dialog.close());
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        this.showOptionsFor(format.value);
+    }
+
+    /**
+     * @param {string} filename - Suggested file name (without extension)
+     */
+    open(filename) {
+        this.form.elements.filename.value = filename;
+        this.setError('');
+        this.dialog.showModal();
+    }
+
+    /**
+     * Show the fields a format uses and preselect its usual up-axis
+     * @param {string} formatId
+     */
+    showOptionsFor(formatId) {
+        const spec = EXPORT_FORMATS[formatId];
+        this.dialog.querySelectorAll('[data-option]').forEach(field => {
+            field.hidden = !spec.options.includes(field.dataset.option);
+        });
+        this.form.elements.upAxis.value = spec.upAxis;
+    }
+
+    async submit() {
+        const { format, scale, upAxis, binary, filename, confirm } = this.form.elements;
+
+        confirm.disabled = true;
+        this.setError('');
+        try {
+            await this.onExport(format.value, {
+                scale: Number(scale.value),
+                upAxis: upAxis.value,
+                binary: binary.checked,
+                filename: filename.value
+            });
+            this.dialog.close();
+        } catch (error) {
+            console.error('Export error:', error);
+            this.setError(error.message);
+        } finally {
+            confirm.disabled = false;
+        }
+    }
+
+    setError(message) {
+        this.error.textContent = message;
+        this.error.hidden = !message;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Scene Outliner - Tree of the user's objects and their child nodes
+ * Click a row to select it, double-click a name to rename it, and use the
+ * eye button to hide a part (e.g. a roof) without deleting it.
+ */
+
+/**
+ * Triangles drawn by a node and everything under it
+ * @param {THREE.Object3D} node
+ * @returns {number}
+ */
+function countTriangles(node) {
+    let triangles = 0;
+    node.traverse((child) => {
+        const geometry = child.isMesh ? child.geometry : null;
+        if (!geometry) return;
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position?.count ?? 0;
+        triangles += Math.floor(count / 3);
+    });
+    return triangles;
+}
+
+/**
+ * @param {number} count
+ * @returns {string} - e.g. '840', '12.4k'
+ */
+function formatCount(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+/**
+ * Name shown for a node that was never given one
+ * @param {THREE.Object3D} node
+ * @returns {string}
+ */
+function defaultName(node) {
+    if (node.userData.prompt) return node.userData.prompt;
+    if (node.isMesh) return node.geometry.type.replace(/Geometry$/, '') || 'Mesh';
+    return node.type;
+}
+
+export class Outliner {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.tree - List element the rows are rendered into
+     * @param {HTMLElement} options.count - Shows how many objects are in the scene
+     * @param {(root: THREE.Object3D, node: THREE.Object3D) => void} [options.onSelect] - Row clicked
+     * @param {(root: THREE.Object3D, node: THREE.Object3D, name: string) => void} [options.onRename]
+     * @param {(root: THREE.Object3D, node: THREE.Object3D, visible: boolean) => void} [options.onToggleVisibility]
+     */
+    constructor(options) {
+        this.tree = options.tree;
+        this.count = options.count;
+
+        this.onSelect = options.onSelect || (() => { });
+        this.onRename = options.onRename || (() => { });
+        this.onToggleVisibility = options.onToggleVisibility || (() => { });
+
+        this.objects = [];
+        this.selectedNode = null;
+        // Node uuids whose children are shown
+        this.expanded = new Set();
+    }
+
+    /**
+     * Rebuild the tree from the scene's user objects
+     * @param {THREE.Object3D[]} objects
+     */
+    setObjects(objects) {
+        this.objects = objects;
+        this.render();
+    }
+
+    /**
+     * Highlight a row, expanding its ancestors so it is visible
+     * @param {THREE.Object3D|null} node
+     */
+    setSelected(node) {
+        this.selectedNode = node;
+        if (node && !this.objects.includes(node)) {
+            for (let parent = node.parent; parent; parent = parent.parent) {
+                this.expanded.add(parent.uuid);
+                if (this.objects.includes(parent)) break;
+            }
+        }
+        this.render();
+    }
+
+    render() {
+        this.tree.innerHTML = '';
+        this.count.textContent = String(this.objects.length);
+
+        if (this.objects.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'outliner-empty';
+            empty.textContent = 'No objects yet';
+            this.tree.appendChild(empty);
+            return;
+        }
+
+        this.objects.forEach(root => this.renderNode(root, root, 0));
+        this.tree.querySelector('.outliner-row.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Append a row for a node, then its children if expanded
+     * @param {THREE.Object3D} root - The user object the node belongs to
+     * @param {THREE.Object3D} node
+     * @param {number} depth
+     */
+    renderNode(root, node, depth) {
+        const hasChildren = node.children.length > 0;
+        const isExpanded = this.expanded.has(node.uuid);
+
+        const row = document.createElement('li');
+        row.className = 'outliner-row';
+        row.classList.toggle('selected', node === this.selectedNode);
+        row.classList.toggle('hidden-node', !node.visible);
+        row.style.paddingLeft = `${depth * 14 + 4}px`;
+        row.addEventListener('click', () => this.onSelect(root, node));
+
+        const caret = document.createElement('button');
+        caret.className = 'outliner-caret';
+        caret.textContent = hasChildren ? (isExpanded ? '▾' : '▸') : '';
+        caret.disabled = !hasChildren;
+        caret.setAttribute('aria-label', isExpanded ? 'Collapse' : 'Expand');
+        caret.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (isExpanded) {
+                this.expanded.delete(node.uuid);
+            } else {
+                this.expanded.add(node.uuid);
+            }
+            this.render();
+        });
+
+        const name = document.createElement('span');
+        name.className = 'outliner-name';
+        name.textContent = node.name || defaultName(node);
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', (event) => {
+            event.stopPropagation();
+            this.startRename(root, node, name);
+        });
+
+        const triangles = document.createElement('span');
+        triangles.className = 'outliner-count';
+        const triangleCount = countTriangles(node);
+        triangles.textContent = formatCount(triangleCount);
+        triangles.title = `${triangleCount.toLocaleString('en-US')} triangles`;
+
+        const eye = document.createElement('button');
+        eye.className = 'outliner-eye';
+        eye.textContent = node.visible ? '●' : '○';
+        eye.title = node.visible ? 'Hide' : 'Show';
+        eye.setAttribute('aria-label', eye.title);
+        eye.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.onToggleVisibility(root, node, !node.visible);
+        });
+
+        row.append(caret, name, triangles, eye);
+        this.tree.appendChild(row);
+
+        if (hasChildren && isExpanded) {
+            node.children.forEach(child => this.renderNode(root, child, depth + 1));
+        }
+    }
+
+    /**
+     * Swap a name label for a text field until Enter, Escape or blur
+     * @param {THREE.Object3D} root
+     * @param {THREE.Object3D} node
+     * @param {HTMLElement} label
+     */
+    startRename(root, node, label) {
+        const input = document.createElement('input');
+        input.className = 'outliner-rename';
+        input.value = node.name || defaultName(node);
+        input.maxLength = 100;
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            if (commit && value && value !== node.name) {
+                this.onRename(root, node, value);
+            } else {
+                this.render();
+            }
+        };
+
+        input.addEventListener('click', event => event.stopPropagation());
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+}
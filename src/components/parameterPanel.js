@@ -0,0 +1,194 @@
+/**
+ * Parameter Panel - Sliders, color pickers and checkboxes for a model's parameters
+ * Shown for the selected object when its code declares parameters. Dragging
+ * reports every step through onInput so the model can be rebuilt live;
+ * releasing a control reports the final values through onChange.
+ */
+
+/**
+ * @param {number} hex - e.g. 0x8b5a2b
+ * @returns {string} - e.g. '#8b5a2b'
+ */
+function toHexString(hex) {
+    return '#' + hex.toString(16).padStart(6, '0');
+}
+
+/**
+ * @param {number} value
+ * @param {number} step
+ * @returns {string} - Value shown next to a slider, with the step's precision
+ */
+function formatValue(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return value.toFixed(Math.min(decimals, 4));
+}
+
+export class ParameterPanel {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.panel - Container, hidden when there is nothing to show
+     * @param {HTMLFormElement} options.fields - Form the controls are rendered into
+     * @param {HTMLElement} options.status - Shows rebuild errors
+     * @param {HTMLButtonElement} options.resetBtn - Puts every parameter back to its default
+     * @param {(values: object) => void} [options.onInput] - A control is being dragged
+     * @param {(values: object) => void} [options.onChange] - A control was released
+     */
+    constructor(options) {
+        this.panel = options.panel;
+        this.fields = options.fields;
+        this.status = options.status;
+        this.resetBtn = options.resetBtn;
+
+        this.onInput = options.onInput || (() => { });
+        this.onChange = options.onChange || (() => { });
+
+        this.schema = [];
+        this.values = {};
+        // objectId and schema the controls were built for
+        this.signature = null;
+        // True between a control's first input and its release
+        this.editing = false;
+
+        this.fields.addEventListener('submit', event => event.preventDefault());
+        this.resetBtn.addEventListener('click', () => {
+            const defaults = Object.fromEntries(this.schema.map(entry => [entry.name, entry.default]));
+            this.setValues(defaults);
+            this.onChange({ ...this.values });
+        });
+    }
+
+    /**
+     * Show the controls for an object, or hide the panel
+     * @param {THREE.Object3D|null} object
+     */
+    show(object) {
+        const schema = object?.userData.parameterSchema ?? [];
+        this.panel.hidden = schema.length === 0;
+        if (schema.length === 0) return;
+
+        // A live rebuild deselects the old object and selects its replacement,
+        // which has the same id: keep the controls (and focus) rather than rebuilding them
+        const signature = object.userData.objectId + JSON.stringify(schema);
+        if (signature !== this.signature) {
+            this.signature = signature;
+            this.schema = schema;
+            this.editing = false;
+            this.render();
+            this.setStatus('');
+        }
+        if (!this.editing) {
+            this.setValues(object.userData.parameters ?? {});
+        }
+    }
+
+    /**
+     * @param {string} message - Empty to clear
+     * @param {boolean} [isError=false]
+     */
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    render() {
+        this.fields.innerHTML = '';
+        this.inputs = new Map();
+        this.readouts = new Map();
+
+        this.schema.forEach((entry) => {
+            const field = document.createElement('label');
+            field.className = 'parameter-field';
+
+            const name = document.createElement('span');
+            name.className = 'parameter-name';
+            name.textContent = entry.label;
+
+            const input = document.createElement('input');
+            input.name = entry.name;
+
+            if (entry.type === 'boolean') {
+                field.classList.add('parameter-check');
+                input.type = 'checkbox';
+                field.append(input, name);
+            } else if (entry.type === 'color') {
+                input.type = 'color';
+                field.append(name, input);
+            } else {
+                input.type = 'range';
+                input.min = String(entry.min);
+                input.max = String(entry.max);
+                input.step = String(entry.step);
+
+                const readout = document.createElement('output');
+                readout.className = 'parameter-value';
+                this.readouts.set(entry.name, readout);
+
+                const header = document.createElement('span');
+                header.className = 'parameter-header';
+                header.append(name, readout);
+                field.append(header, input);
+            }
+
+            input.addEventListener('input', () => {
+                this.editing = true;
+                this.readValue(entry, input);
+                this.onInput({ ...this.values });
+            });
+            input.addEventListener('change', () => {
+                this.editing = false;
+                this.readValue(entry, input);
+                this.onChange({ ...this.values });
+            });
+
+            this.inputs.set(entry.name, input);
+            this.fields.appendChild(field);
+        });
+    }
+
+    /**
+     * @param {object} entry - Schema entry
+     * @param {HTMLInputElement} input
+     */
+    readValue(entry, input) {
+        let value;
+        if (entry.type === 'boolean') {
+            value = input.checked;
+        } else if (entry.type === 'color') {
+            value = Number.parseInt(input.value.slice(1), 16);
+        } else {
+            value = Number(input.value);
+        }
+        this.values[entry.name] = value;
+        this.updateReadout(entry);
+    }
+
+    /**
+     * Move the controls to a set of values without reporting them
+     * @param {object} values
+     */
+    setValues(values) {
+        this.values = {};
+        this.schema.forEach((entry) => {
+            const value = values[entry.name] ?? entry.default;
+            const input = this.inputs.get(entry.name);
+            this.values[entry.name] = value;
+
+            if (entry.type === 'boolean') {
+                input.checked = value;
+            } else if (entry.type === 'color') {
+                input.value = toHexString(value);
+            } else {
+                input.value = String(value);
+            }
+            this.updateReadout(entry);
+        });
+    }
+
+    /**
+     * @param {object} entry - Schema entry
+     */
+    updateReadout(entry) {
+        const readout = this.readouts.get(entry.name);
+        if (readout) readout.textContent = formatValue(this.values[entry.name], entry.step);
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Project Bar - Header controls for switching, creating, renaming and deleting projects
+ */
+
+export class ProjectBar {
+    constructor(options) {
+        this.select = options.select;
+        this.newBtn = options.newBtn;
+        this.renameBtn = options.renameBtn;
+        this.deleteBtn = options.deleteBtn;
+        this.status = options.status;
+
+        this.onSelect = options.onSelect || (() => { });
+        this.onCreate = options.onCreate || (() => { });
+        this.onRename = options.onRename || (() => { });
+        this.onDelete = options.onDelete || (() => { });
+
+        this.init();
+    }
+
+    init() {
+        this.select.addEventListener('change', () => this.onSelect(this.select.value));
+        this.newBtn.addEventListener('click', () => this.onCreate());
+        this.renameBtn.addEventListener('click', () => this.onRename(this.select.value));
+        this.deleteBtn.addEventListener('click', () => this.onDelete(this.select.value));
+    }
+
+    /**
+     * Fill the project picker
+     * @param {Array<{id: string, name: string}>} projects - Project summaries
+     * @param {string} activeId - Project to show as selected
+     */
+    setProjects(projects, activeId) {
+        this.select.innerHTML = '';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = project.name;
+            this.select.appendChild(option);
+        });
+        this.select.value = activeId;
+    }
+
+    /**
+     * @returns {string} - Name of the selected project
+     */
+    getActiveName() {
+        return this.select.selectedOptions[0]?.textContent ?? '';
+    }
+
+    /**
+     * Show the save state next to the picker
+     * @param {string} text - e.g. 'Saving...', 'Saved'
+     * @param {boolean} [isError] - Highlight as a failure
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Disable the controls while a project is loading or a generation runs
+     */
+    setDisabled(disabled) {
+        [this.select, this.newBtn, this.renameBtn, this.deleteBtn].forEach(el => {
+            el.disabled = disabled;
+        });
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Animation Timeline - Play/pause and scrub controls for animated objects
+ * Hidden until the scene holds something with an animation; the scrubber
+ * spans the longest clip, and shorter ones loop within it.
+ */
+
+export class Timeline {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.bar - Container, hidden when nothing animates
+     * @param {HTMLButtonElement} options.playBtn
+     * @param {HTMLInputElement} options.scrubber - Range input over the loop
+     * @param {HTMLElement} options.time - Shows the current time
+     * @param {(playing: boolean) => void} [options.onPlayToggle] - Play/pause clicked
+     * @param {(time: number) => void} [options.onScrub] - Scrubber dragged, in seconds
+     */
+    constructor(options) {
+        this.bar = options.bar;
+        this.playBtn = options.playBtn;
+        this.scrubber = options.scrubber;
+        this.time = options.time;
+
+        this.onPlayToggle = options.onPlayToggle || (() => { });
+        this.onScrub = options.onScrub || (() => { });
+
+        this.playing = true;
+
+        this.playBtn.addEventListener('click', () => this.onPlayToggle(!this.playing));
+        this.scrubber.addEventListener('input', () => this.onScrub(Number(this.scrubber.value)));
+    }
+
+    /**
+     * @param {number} duration - Longest loop in seconds; 0 hides the timeline
+     */
+    setDuration(duration) {
+        this.bar.hidden = duration === 0;
+        this.scrubber.max = String(duration || 1);
+    }
+
+    /**
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.playBtn.textContent = playing ? '❚❚' : '▶';
+        this.playBtn.title = playing ? 'Pause animation' : 'Play animation';
+        this.playBtn.setAttribute('aria-label', this.playBtn.title);
+    }
+
+    /**
+     * @param {number} time - Seconds into the loop
+     */
+    setTime(time) {
+        this.scrubber.value = String(time);
+        this.time.textContent = `${time.toFixed(2)} s`;
+    }
+}
@@ -5,11 +5,122 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { readTransform } from '../utils/serialize.js';
+
+// Pointer travel (px) below which a press counts as a click rather than an orbit drag
+const CLICK_TOLERANCE = 4;
+
+// Thumbnails are square; the camera looks from the same side as frameObjects()
+const THUMBNAIL_SIZE = 192;
+const THUMBNAIL_DIRECTION = new THREE.Vector3(0.6, 0.4, 0.6).normalize();
+
+/**
+ * Shadow, tone mapping and exposure settings shared by the viewport and thumbnails
+ * @param {THREE.WebGLRenderer} renderer
+ */
+function configureRenderer(renderer) {
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.2;
+}
+
+/**
+ * Add the key, fill and rim lights and the reflection environment to a scene
+ * @param {THREE.Scene} scene
+ * @param {THREE.WebGLRenderer} renderer - Renderer the environment map is built for
+ */
+function addLighting(scene, renderer) {
+    // Ambient light
+    const ambient = new THREE.AmbientLight(0xffffff, 0.4);
+    scene.add(ambient);
+
+    // Main directional light (key light)
+    const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    keyLight.position.set(5, 10, 7);
+    keyLight.castShadow = true;
+    keyLight.shadow.mapSize.width = 2048;
+    keyLight.shadow.mapSize.height = 2048;
+    keyLight.shadow.camera.near = 0.1;
+    keyLight.shadow.camera.far = 50;
+    keyLight.shadow.camera.left = -10;
+    keyLight.shadow.camera.right = 10;
+    keyLight.shadow.camera.top = 10;
+    keyLight.shadow.camera.bottom = -10;
+    scene.add(keyLight);
+
+    // Fill light (softer, from opposite side)
+    const fillLight = new THREE.DirectionalLight(0x8888ff, 0.3);
+    fillLight.position.set(-5, 3, -5);
+    scene.add(fillLight);
+
+    // Rim light (backlight for edge definition)
+    const rimLight = new THREE.DirectionalLight(0x00f0ff, 0.2);
+    rimLight.position.set(0, 5, -10);
+    scene.add(rimLight);
+
+    // Something to reflect: metal and glass presets render black without it
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmrem.dispose();
+}
+
+/**
+ * Invisible floor that only shows the shadows falling on it
+ * @returns {THREE.Mesh}
+ */
+function createShadowGround() {
+    const groundGeometry = new THREE.PlaneGeometry(20, 20);
+    const groundMaterial = new THREE.ShadowMaterial({ opacity: 0.3 });
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    return ground;
+}
+
+/**
+ * Let every mesh of an object cast and receive shadows
+ * @param {THREE.Object3D} object
+ */
+function enableShadows(object) {
+    object.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+}
 
 export class SceneViewer {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element the canvas is added to
+     * @param {object} [options]
+     * @param {(object: THREE.Object3D|null) => void} [options.onSelectionChange] - Selection changed
+     * @param {(object: THREE.Object3D, before: object) => void} [options.onObjectChange] - Gizmo drag
+     *     finished; receives the transform the object had when the drag started
+     * @param {(objects: THREE.Object3D[]) => void} [options.onSceneChange] - User objects added or removed
+     * @param {(time: number) => void} [options.onAnimationTime] - Animation time moved, in seconds
+     */
+    constructor(container, options = {}) {
         this.container = container;
         this.userObjects = [];
+        this.onSelectionChange = options.onSelectionChange || (() => { });
+        this.onObjectChange = options.onObjectChange || (() => { });
+        this.onSceneChange = options.onSceneChange || (() => { });
+        this.onAnimationTime = options.onAnimationTime || (() => { });
+
+        this.selected = null;
+        this.selectionBox = null;
+        this.partBox = null;
+        this.dragStart = null;
+
+        // One mixer per animated user object, all driven by a shared clock
+        this.mixers = new Map();
+        this.clock = new THREE.Clock();
+        this.animationTime = 0;
+        this.animationPlaying = true;
 
         this.init();
         this.animate();
@@ -33,10 +144,7 @@ export class SceneViewer {
         });
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.2;
+        configureRenderer(this.renderer);
         this.container.appendChild(this.renderer.domElement);
 
         // Controls
@@ -53,87 +161,346 @@ export class SceneViewer {
         // Grid Helper
         this.setupGrid();
 
+        // Click-to-select and transform gizmo
+        this.setupSelection();
+
         // Handle resize
         window.addEventListener('resize', () => this.onResize());
     }
 
     setupLighting() {
-        // Ambient light
-        const ambient = new THREE.AmbientLight(0xffffff, 0.4);
-        this.scene.add(ambient);
-
-        // Main directional light (key light)
-        const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        keyLight.position.set(5, 10, 7);
-        keyLight.castShadow = true;
-        keyLight.shadow.mapSize.width = 2048;
-        keyLight.shadow.mapSize.height = 2048;
-        keyLight.shadow.camera.near = 0.1;
-        keyLight.shadow.camera.far = 50;
-        keyLight.shadow.camera.left = -10;
-        keyLight.shadow.camera.right = 10;
-        keyLight.shadow.camera.top = 10;
-        keyLight.shadow.camera.bottom = -10;
-        this.scene.add(keyLight);
-
-        // Fill light (softer, from opposite side)
-        const fillLight = new THREE.DirectionalLight(0x8888ff, 0.3);
-        fillLight.position.set(-5, 3, -5);
-        this.scene.add(fillLight);
-
-        // Rim light (backlight for edge definition)
-        const rimLight = new THREE.DirectionalLight(0x00f0ff, 0.2);
-        rimLight.position.set(0, 5, -10);
-        this.scene.add(rimLight);
+        addLighting(this.scene, this.renderer);
     }
 
     setupGrid() {
         // Main grid
-        const gridHelper = new THREE.GridHelper(20, 20, 0x444466, 0x333344);
-        gridHelper.position.y = -0.01;
-        this.scene.add(gridHelper);
+        this.gridHelper = new THREE.GridHelper(20, 20, 0x444466, 0x333344);
+        this.gridHelper.position.y = -0.01;
+        this.scene.add(this.gridHelper);
 
         // Ground plane for shadows
-        const groundGeometry = new THREE.PlaneGeometry(20, 20);
-        const groundMaterial = new THREE.ShadowMaterial({ opacity: 0.3 });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+        this.scene.add(createShadowGround());
+    }
+
+    /**
+     * Offscreen renderer and scene for thumbnails, made on first use
+     */
+    setupThumbnails() {
+        // A renderer of its own: tone mapping only applies when drawing to a
+        // canvas, so a render target on the main renderer would look different
+        this.thumbnailRenderer = new THREE.WebGLRenderer({
+            antialias: true,
+            preserveDrawingBuffer: true
+        });
+        configureRenderer(this.thumbnailRenderer);
+
+        this.thumbnailScene = new THREE.Scene();
+        this.thumbnailScene.background = new THREE.Color();
+        addLighting(this.thumbnailScene, this.thumbnailRenderer);
+        this.thumbnailScene.add(createShadowGround());
+
+        this.thumbnailCamera = new THREE.PerspectiveCamera(40, 1, 0.1, 1000);
+    }
+
+    /**
+     * Picture an object on its own, lit like the scene, without touching the viewport
+     * @param {THREE.Object3D} object - An object not yet in the scene
+     * @param {object} [options]
+     * @param {number} [options.size] - Width and height in pixels
+     * @returns {string} - PNG data URL
+     */
+    renderThumbnail(object, { size = THUMBNAIL_SIZE } = {}) {
+        if (!this.thumbnailRenderer) this.setupThumbnails();
+        const renderer = this.thumbnailRenderer;
+        const scene = this.thumbnailScene;
+        const camera = this.thumbnailCamera;
+
+        renderer.setSize(size, size, false);
+        scene.background.copy(this.scene.background);
+
+        // Fit the object's bounding sphere in view
+        const box = new THREE.Box3().setFromObject(object);
+        const sphere = box.isEmpty()
+            ? new THREE.Sphere(new THREE.Vector3(), 1)
+            : box.getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 0.01);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+
+        camera.position.copy(sphere.center).addScaledVector(THUMBNAIL_DIRECTION, distance);
+        camera.near = distance / 100;
+        camera.far = distance * 100;
+        camera.updateProjectionMatrix();
+        camera.lookAt(sphere.center);
+
+        enableShadows(object);
+        scene.add(object);
+        renderer.render(scene, camera);
+        scene.remove(object);
+
+        return renderer.domElement.toDataURL('image/png');
+    }
+
+    setupSelection() {
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDown = null;
+
+        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            // Orbiting while dragging the gizmo would fight over the pointer
+            this.controls.enabled = !event.value;
+            if (event.value) {
+                this.dragStart = readTransform(this.selected);
+            } else if (this.selected && this.dragStart) {
+                this.onObjectChange(this.selected, this.dragStart);
+                this.dragStart = null;
+            }
+        });
+        this.scene.add(this.transformControls);
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (event) => {
+            this.pointerDown = { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!this.pointerDown) return;
+            const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+
+            // Ignore orbit drags and clicks on the gizmo itself
+            if (moved > CLICK_TOLERANCE || this.transformControls.axis !== null) return;
+            this.select(this.pickObject(event));
+        });
+    }
+
+    /**
+     * Find the user object under the pointer
+     * @param {PointerEvent} event
+     * @returns {THREE.Object3D|null} - The top-level user object that was hit
+     */
+    pickObject(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(pointer, this.camera);
+        // Raycasting ignores visibility, so skip parts hidden in the outliner
+        const hit = this.raycaster.intersectObjects(this.userObjects, true)
+            .find(({ object }) => this.isShown(object));
+        if (!hit) return null;
+
+        // Walk up from the mesh that was hit to the object the user generated
+        let object = hit.object;
+        while (object && !this.userObjects.includes(object)) {
+            object = object.parent;
+        }
+        return object;
+    }
+
+    /**
+     * Whether a node and all of its ancestors are visible
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isShown(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Select a user object (or clear the selection with null)
+     * @param {THREE.Object3D|null} object
+     */
+    select(object) {
+        if (object === this.selected) return;
+
+        this.highlightPart(null);
+
+        if (this.selectionBox) {
+            this.scene.remove(this.selectionBox);
+            this.selectionBox.geometry.dispose();
+            this.selectionBox.material.dispose();
+            this.selectionBox = null;
+        }
+        this.transformControls.detach();
+
+        this.selected = object;
+
+        if (object) {
+            this.selectionBox = new THREE.BoxHelper(object, 0x00f0ff);
+            this.scene.add(this.selectionBox);
+            this.transformControls.attach(object);
+        }
+
+        this.onSelectionChange(object);
+    }
+
+    /**
+     * Outline one part of the selected object (e.g. picked in the outliner)
+     * @param {THREE.Object3D|null} node - A descendant of the selection, or null to clear
+     */
+    highlightPart(node) {
+        if (this.partBox) {
+            this.scene.remove(this.partBox);
+            this.partBox.geometry.dispose();
+            this.partBox.material.dispose();
+            this.partBox = null;
+        }
+
+        if (node && node !== this.selected) {
+            this.partBox = new THREE.BoxHelper(node, 0xffaa00);
+            this.scene.add(this.partBox);
+        }
+    }
+
+    /**
+     * @returns {THREE.Object3D|null}
+     */
+    getSelected() {
+        return this.selected;
+    }
+
+    /**
+     * Switch the gizmo between moving, rotating and scaling
+     * @param {'translate'|'rotate'|'scale'} mode
+     */
+    setTransformMode(mode) {
+        this.transformControls.setMode(mode);
     }
 
     /**
      * Add a 3D object to the scene
      * @param {THREE.Object3D} object - The object to add
+     * @param {object} [options]
+     * @param {number} [options.index] - Slot in the object list (defaults to the end)
+     * @param {boolean} [options.focus=true] - Move the camera to take in the whole scene
      */
-    addObject(object) {
+    addObject(object, { index = this.userObjects.length, focus = true } = {}) {
         if (!(object instanceof THREE.Object3D)) {
             console.error('Invalid object type');
             return;
         }
 
-        // Enable shadows
-        object.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-            }
-        });
+        enableShadows(object);
 
         this.scene.add(object);
-        this.userObjects.push(object);
+        this.userObjects.splice(index, 0, object);
+        this.addMixer(object);
 
-        // Center camera on new object
-        this.focusOnObject(object);
+        // Keep everything in view, not just the newcomer
+        if (focus) this.frameObjects(this.userObjects);
+        this.onSceneChange(this.userObjects);
     }
 
     /**
-     * Focus camera on an object
-     * @param {THREE.Object3D} object - Object to focus on
+     * Swap an existing user object for a new one (e.g. after a refinement)
+     * @param {THREE.Object3D} oldObject - The object being replaced
+     * @param {THREE.Object3D} newObject - Its replacement
+     * @param {object} [options]
+     * @param {boolean} [options.dispose=true] - Free the old object's GPU resources
+     * @param {boolean} [options.focus=true] - Move the camera to take in the whole scene
      */
-    focusOnObject(object) {
-        // Calculate bounding box
-        const box = new THREE.Box3().setFromObject(object);
+    replaceObject(oldObject, newObject, { dispose = true, focus = true } = {}) {
+        const wasSelected = this.selected === oldObject;
+        const index = this.removeObject(oldObject, { dispose });
+
+        // Keep the replacement in the original slot
+        this.addObject(newObject, { index: index === -1 ? undefined : index, focus });
+
+        if (wasSelected) this.select(newObject);
+    }
+
+    /**
+     * Remove a single user object from the scene
+     * @param {THREE.Object3D} object - The object to remove
+     * @param {object} [options]
+     * @param {boolean} [options.dispose=true] - Free its GPU resources; pass false
+     *     when the object may be put back later (e.g. by undo)
+     * @returns {number} - The slot it occupied, or -1 if it wasn't in the scene
+     */
+    removeObject(object, { dispose = true } = {}) {
+        const index = this.userObjects.indexOf(object);
+        if (index === -1) return -1;
+
+        if (this.selected === object) this.select(null);
+
+        this.removeMixer(object);
+        this.scene.remove(object);
+        if (dispose) this.disposeObject(object);
+        this.userObjects.splice(index, 1);
+        this.onSceneChange(this.userObjects);
+        return index;
+    }
+
+    /**
+     * Start playing an object's baked animation in step with the others
+     * @param {THREE.Object3D} object
+     */
+    addMixer(object) {
+        if (object.animations.length === 0) return;
+
+        const mixer = new THREE.AnimationMixer(object);
+        object.animations.forEach(clip => mixer.clipAction(clip).play());
+        mixer.setTime(this.animationTime);
+        this.mixers.set(object, mixer);
+    }
+
+    /**
+     * @param {THREE.Object3D} object
+     */
+    removeMixer(object) {
+        const mixer = this.mixers.get(object);
+        if (!mixer) return;
+
+        mixer.stopAllAction();
+        mixer.uncacheRoot(object);
+        this.mixers.delete(object);
+    }
+
+    /**
+     * @returns {number} - Longest animation among user objects in seconds, 0 if none
+     */
+    getAnimationDuration() {
+        let duration = 0;
+        this.mixers.forEach((mixer, object) => {
+            object.animations.forEach(clip => {
+                duration = Math.max(duration, clip.duration);
+            });
+        });
+        return duration;
+    }
+
+    /**
+     * @param {boolean} playing
+     */
+    setAnimationPlaying(playing) {
+        this.animationPlaying = playing;
+    }
+
+    /**
+     * Pose every animated object at a point in the loop
+     * @param {number} time - Seconds; wraps around the longest animation
+     */
+    setAnimationTime(time) {
+        const duration = this.getAnimationDuration();
+        this.animationTime = duration > 0 ? time % duration : 0;
+        this.mixers.forEach(mixer => mixer.setTime(this.animationTime));
+        this.onAnimationTime(this.animationTime);
+    }
+
+    /**
+     * Point the camera so a set of objects is in view
+     * @param {THREE.Object3D[]} objects - Objects to frame together
+     */
+    frameObjects(objects) {
+        // Calculate the bounding box around all of them
+        const box = new THREE.Box3();
+        objects.forEach(object => box.expandByObject(object));
+        if (box.isEmpty()) return;
+
         const center = box.getCenter(new THREE.Vector3());
         const size = box.getSize(new THREE.Vector3());
 
@@ -156,13 +523,21 @@ export class SceneViewer {
 
     /**
      * Clear all user objects from scene
+     * @param {object} [options]
+     * @param {boolean} [options.dispose=true] - Free their GPU resources
+     * @returns {THREE.Object3D[]} - The objects that were removed, in order
      */
-    clearUserObjects() {
-        this.userObjects.forEach(obj => {
-            this.disposeObject(obj);
+    clearUserObjects({ dispose = true } = {}) {
+        this.select(null);
+        const removed = this.userObjects;
+        removed.forEach(obj => {
+            this.removeMixer(obj);
+            if (dispose) this.disposeObject(obj);
             this.scene.remove(obj);
         });
         this.userObjects = [];
+        this.onSceneChange(this.userObjects);
+        return removed;
     }
 
     /**
@@ -203,6 +578,50 @@ export class SceneViewer {
         this.controls.update();
     }
 
+    /**
+     * @returns {{position: number[], target: number[], fov: number}}
+     */
+    getCameraPose() {
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray(),
+            fov: this.camera.fov
+        };
+    }
+
+    /**
+     * Put the camera back where getCameraPose() found it
+     * @param {{position: number[], target: number[], fov?: number}} pose
+     */
+    setCameraPose({ position, target, fov = this.camera.fov }) {
+        this.camera.position.fromArray(position);
+        this.controls.target.fromArray(target);
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+        this.controls.update();
+    }
+
+    /**
+     * Display settings that belong to a session rather than to any object
+     * @returns {{transformMode: string, showGrid: boolean, background: string}}
+     */
+    getSettings() {
+        return {
+            transformMode: this.transformControls.mode,
+            showGrid: this.gridHelper.visible,
+            background: `#${this.scene.background.getHexString()}`
+        };
+    }
+
+    /**
+     * @param {{transformMode?: string, showGrid?: boolean, background?: string}} settings
+     */
+    applySettings({ transformMode, showGrid, background }) {
+        if (transformMode) this.setTransformMode(transformMode);
+        if (showGrid !== undefined) this.gridHelper.visible = showGrid;
+        if (background) this.scene.background.set(background);
+    }
+
     /**
      * Handle window resize
      */
@@ -246,7 +665,13 @@ export class SceneViewer {
      */
     animate() {
         requestAnimationFrame(() => this.animate());
+        const delta = this.clock.getDelta();
+        if (this.animationPlaying && this.mixers.size > 0) {
+            this.setAnimationTime(this.animationTime + delta);
+        }
         this.controls.update();
+        if (this.selectionBox) this.selectionBox.update();
+        if (this.partBox) this.partBox.update();
         this.renderer.render(this.scene, this.camera);
     }
 
@@ -255,7 +680,9 @@ export class SceneViewer {
      */
     dispose() {
         this.clearUserObjects();
+        this.transformControls.dispose();
         this.renderer.dispose();
+        this.thumbnailRenderer?.dispose();
         this.controls.dispose();
         window.removeEventListener('resize', this.onResize);
     }
@@ -5,38 +5,227 @@
 
 import { SceneViewer } from './components/viewer.js';
 import { ChatComponent } from './components/chat.js';
-import { generateCode } from './services/api.js';
-import { executeThreeJSCode, cleanCode } from './utils/sandbox.js';
-import { exportGLTF, exportOBJ, downloadScreenshot } from './utils/exporters.js';
+import { ProjectBar } from './components/projects.js';
+import { Outliner } from './components/outliner.js';
+import { ExportDialog } from './components/exportDialog.js';
+import { ParameterPanel } from './components/parameterPanel.js';
+import { Timeline } from './components/timeline.js';
+import {
+    ApiError,
+    setApiToken,
+    generateCode,
+    generateCodeStream,
+    reportOutcome,
+    getConfig,
+    getModels,
+    listProjects,
+    createProject,
+    loadProject,
+    updateProject,
+    deleteProject,
+    uploadAsset,
+    fetchAsset
+} from './services/api.js';
+import { executeThreeJSCode, cleanCode, SandboxError } from './utils/sandbox.js';
+import {
+    describeObject,
+    readTransform,
+    applyTransform,
+    tagObject,
+    setNodeOverride,
+    applyNodeOverrides
+} from './utils/serialize.js';
+import {
+    CommandHistory,
+    AddObjectCommand,
+    RemoveObjectCommand,
+    ClearSceneCommand,
+    ReplaceObjectCommand,
+    TransformObjectCommand
+} from './utils/history.js';
+import * as THREE from 'three';
+import { exportModel, downloadScreenshot, downloadBlob } from './utils/exporters.js';
+import { IMPORT_EXTENSIONS, importFormatOf, parseModel } from './utils/importers.js';
+import { createProjectFile, parseProjectFile, FORGE_EXTENSION } from './utils/projectFile.js';
+import { boundsOf, placeOnGround, MAX_LAYOUT_OBJECTS } from './utils/layout.js';
+
+// Keyboard shortcuts for the transform gizmo
+const TRANSFORM_KEYS = { w: 'translate', e: 'rotate', r: 'scale' };
+
+/**
+ * Short human-readable name for a user object
+ * @param {THREE.Object3D} object
+ * @returns {string}
+ */
+function objectLabel(object) {
+    const name = object.name || object.userData.prompt || 'object';
+    return name.length > 28 ? name.slice(0, 27) + '…' : name;
+}
+
+/**
+ * Add up the usage of requests that ran side by side
+ * @param {object[]} usages - Usage summaries, each with its model
+ * @returns {object|null} - null if there were none
+ */
+function combineUsage(usages) {
+    if (usages.length === 0) return null;
+
+    const sum = key => usages.reduce((total, usage) => total + usage[key], 0);
+    return {
+        model: usages[0].model,
+        promptTokens: sum('promptTokens'),
+        completionTokens: sum('completionTokens'),
+        totalTokens: sum('totalTokens'),
+        cost: usages.some(usage => usage.cost === null) ? null : sum('cost'),
+        // They ran in parallel, so the slowest one is how long the user waited
+        latencyMs: Math.max(...usages.map(usage => usage.latencyMs)),
+        cached: usages.every(usage => usage.cached)
+    };
+}
 
 class App {
     constructor() {
         this.viewer = null;
         this.chat = null;
+
+        // Conversation turns sent with each request for refinement context
+        this.history = [];
+        // The selected object; follow-up prompts edit it when refinement is on
+        this.currentObject = null;
+        // Server settings; replaced once /api/config answers
+        this.config = { maxRepairAttempts: 0, maxImportBytes: Infinity, maxImageBytes: Infinity };
+
+        // Undo/redo stack for changes to the scene
+        this.sceneHistory = new CommandHistory({ onChange: () => this.updateHistoryButtons() });
+
+        // Saved project currently open, and the pending autosave
+        this.projectId = null;
+        this.saveTimer = null;
+        this.isRestoring = false;
+
+        // Parameter change in progress: { original, current, requested, queued, running }
+        this.parameterEdit = null;
+
+        // Candidates from a variations request waiting to be picked: { objects, strip }
+        this.variations = null;
+
         this.init();
     }
 
     init() {
         // Initialize 3D Viewer
         const viewerContainer = document.getElementById('viewerContainer');
-        this.viewer = new SceneViewer(viewerContainer);
+        this.viewer = new SceneViewer(viewerContainer, {
+            onSelectionChange: (object) => this.handleSelectionChange(object),
+            onObjectChange: (object, before) => this.handleTransform(object, before),
+            onSceneChange: (objects) => {
+                this.outliner.setObjects(objects);
+                this.timeline.setDuration(this.viewer.getAnimationDuration());
+            },
+            onAnimationTime: (time) => this.timeline.setTime(time)
+        });
+
+        // Initialize Animation Timeline
+        this.timeline = new Timeline({
+            bar: document.getElementById('timelineBar'),
+            playBtn: document.getElementById('playPauseBtn'),
+            scrubber: document.getElementById('timelineScrubber'),
+            time: document.getElementById('timelineTime'),
+            onPlayToggle: (playing) => this.setAnimationPlaying(playing),
+            onScrub: (time) => {
+                // Scrubbing takes over from playback
+                this.setAnimationPlaying(false);
+                this.viewer.setAnimationTime(time);
+            }
+        });
+
+        // Initialize Outliner
+        this.outliner = new Outliner({
+            tree: document.getElementById('outlinerTree'),
+            count: document.getElementById('outlinerCount'),
+            onSelect: (root, node) => this.selectNode(root, node),
+            onRename: (root, node, name) => this.updateNode(root, node, { name }),
+            onToggleVisibility: (root, node, visible) => this.updateNode(root, node, { visible })
+        });
+        this.outliner.render();
+
+        // Initialize Parameter Panel
+        this.parameterPanel = new ParameterPanel({
+            panel: document.getElementById('parameterPanel'),
+            fields: document.getElementById('parameterFields'),
+            status: document.getElementById('parameterStatus'),
+            resetBtn: document.getElementById('resetParametersBtn'),
+            onInput: (values) => this.previewParameters(values),
+            onChange: (values) => this.commitParameters(values)
+        });
 
         // Initialize Chat
         this.chat = new ChatComponent({
             messagesContainer: document.getElementById('chatMessages'),
             input: document.getElementById('chatInput'),
             sendBtn: document.getElementById('sendBtn'),
-            onSendMessage: (message) => this.handleGenerate(message)
+            refineMode: document.getElementById('refineMode'),
+            refineToggle: document.getElementById('refineToggle'),
+            freshToggle: document.getElementById('freshToggle'),
+            variationsSelect: document.getElementById('variationsSelect'),
+            modelSelect: document.getElementById('modelSelect'),
+            attachBtn: document.getElementById('attachImageBtn'),
+            imageInput: document.getElementById('imageInput'),
+            attachment: document.getElementById('chatAttachment'),
+            onSendMessage: (message, options) => this.handleGenerate(message, options)
+        });
+
+        // Initialize Project Bar
+        this.projects = new ProjectBar({
+            select: document.getElementById('projectSelect'),
+            newBtn: document.getElementById('newProjectBtn'),
+            renameBtn: document.getElementById('renameProjectBtn'),
+            deleteBtn: document.getElementById('deleteProjectBtn'),
+            status: document.getElementById('saveStatus'),
+            onSelect: (id) => this.switchProject(id),
+            onCreate: () => this.handleCreateProject(),
+            onRename: (id) => this.handleRenameProject(id),
+            onDelete: (id) => this.handleDeleteProject(id)
+        });
+
+        // Initialize Export Dialog
+        this.exportDialog = new ExportDialog({
+            dialog: document.getElementById('exportDialog'),
+            onExport: (format, settings) => exportModel(this.viewer.getUserObjects(), format, settings)
         });
 
         // Bind toolbar buttons
         this.bindToolbar();
+        this.bindShortcuts();
+
+        this.loadConfig();
+        this.loadModels();
+        this.initProjects();
 
         // Hide overlay initially to show the empty scene
         // We'll show it again only when needed
         console.log('🚀 3D Forge initialized');
     }
 
+    async loadConfig() {
+        try {
+            this.config = { ...this.config, ...await getConfig() };
+            this.chat.setImageLimit(this.config.maxImageBytes);
+        } catch (error) {
+            console.warn('Could not load server config:', error);
+        }
+    }
+
+    async loadModels() {
+        try {
+            const { models, default: defaultModel } = await getModels();
+            this.chat.setModels(models, defaultModel);
+        } catch (error) {
+            console.warn('Could not load models:', error);
+            this.chat.setModels([], null);
+        }
+    }
+
     bindToolbar() {
         // Reset Camera
         document.getElementById('resetCameraBtn').addEventListener('click', () => {
@@ -44,35 +233,49 @@ class App {
         });
 
         // Clear Scene
-        document.getElementById('clearSceneBtn').addEventListener('click', () => {
-            this.viewer.clearUserObjects();
-            this.showOverlay();
+        document.getElementById('clearSceneBtn').addEventListener('click', () => this.clearScene());
+
+        // Undo / Redo
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+
+        // Gizmo mode
+        document.querySelectorAll('#selectionTools .mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setTransformMode(btn.dataset.mode));
         });
 
-        // Download GLTF
-        document.getElementById('downloadGltfBtn').addEventListener('click', () => {
-            if (this.viewer.getUserObjects().length === 0) {
-                alert('No objects to export. Create something first!');
-                return;
-            }
-            try {
-                exportGLTF(this.viewer.getScene(), '3d-forge-model');
-            } catch (error) {
-                alert('Export failed: ' + error.message);
-            }
+        // Duplicate / Delete selected object
+        document.getElementById('duplicateBtn').addEventListener('click', () => this.duplicateSelected());
+        document.getElementById('deleteObjectBtn').addEventListener('click', () => this.deleteSelected());
+
+        // Save / Open portable project files
+        const openInput = document.getElementById('openFileInput');
+        openInput.accept = `${FORGE_EXTENSION},.json`;
+        document.getElementById('saveFileBtn').addEventListener('click', () => this.saveProjectFile());
+        document.getElementById('openFileBtn').addEventListener('click', () => openInput.click());
+        openInput.addEventListener('change', () => {
+            const [file] = openInput.files;
+            openInput.value = '';
+            if (file) this.openProjectFile(file);
+        });
+
+        // Import model files, by picker or by dropping them on the viewer
+        const importInput = document.getElementById('importInput');
+        importInput.accept = IMPORT_EXTENSIONS.map(ext => `.${ext}`).join(',');
+        document.getElementById('importBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            this.importFiles([...importInput.files]);
+            importInput.value = '';
         });
+        this.bindDropZone(document.getElementById('viewerPanel'));
 
-        // Download OBJ
-        document.getElementById('downloadObjBtn').addEventListener('click', () => {
+        // Export dialog
+        document.getElementById('exportBtn').addEventListener('click', () => {
             if (this.viewer.getUserObjects().length === 0) {
                 alert('No objects to export. Create something first!');
                 return;
             }
-            try {
-                exportOBJ(this.viewer.getScene(), '3d-forge-model');
-            } catch (error) {
-                alert('Export failed: ' + error.message);
-            }
+            this.exportDialog.open(this.projects.getActiveName() || '3d-forge-model');
         });
 
         // Screenshot
@@ -82,50 +285,917 @@ class App {
         });
     }
 
-    async handleGenerate(message) {
-        this.chat.setLoading(true);
-        this.chat.addTypingIndicator();
-        this.showLoading(true);
+    /**
+     * Accept model files dropped anywhere on the viewer
+     * @param {HTMLElement} zone
+     */
+    bindDropZone(zone) {
+        const hasFiles = event => event.dataTransfer?.types.includes('Files');
+
+        zone.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            zone.classList.add('drop-active');
+        });
+        zone.addEventListener('dragleave', (event) => {
+            if (!zone.contains(event.relatedTarget)) zone.classList.remove('drop-active');
+        });
+        zone.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            zone.classList.remove('drop-active');
+            this.importFiles([...event.dataTransfer.files]);
+        });
+    }
+
+    bindShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            // Leave typing in the chat and pickers alone
+            if (event.target.closest('input, textarea, select')) return;
+
+            const key = event.key.toLowerCase();
+            const ctrl = event.ctrlKey || event.metaKey;
+            if (ctrl && key === 'z') {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            } else if (ctrl && key === 'y') {
+                event.preventDefault();
+                this.redo();
+                return;
+            }
+
+            if (!this.viewer.getSelected()) return;
+
+            if (ctrl && key === 'd') {
+                event.preventDefault();
+                this.duplicateSelected();
+            } else if (ctrl || event.altKey) {
+                return;
+            } else if (key === 'delete' || key === 'backspace') {
+                event.preventDefault();
+                this.deleteSelected();
+            } else if (key === 'escape') {
+                this.viewer.select(null);
+            } else if (TRANSFORM_KEYS[key]) {
+                this.setTransformMode(TRANSFORM_KEYS[key]);
+            }
+        });
+    }
+
+    /**
+     * Track the selected object as the refinement target
+     * @param {THREE.Object3D|null} object
+     */
+    handleSelectionChange(object) {
+        this.currentObject = object;
+        // Imported models have no code for the AI to revise
+        const refinable = object?.userData.sourceCode;
+        this.chat.setRefineTarget(refinable ? `"${objectLabel(object)}"` : null);
+        this.outliner.setSelected(object);
+        this.parameterPanel.show(object);
+
+        document.querySelectorAll('#selectionTools button').forEach(btn => {
+            btn.disabled = !object;
+        });
+    }
+
+    /**
+     * Select from the outliner: the gizmo goes on the user object, and a
+     * child node picked in the tree gets its own outline
+     * @param {THREE.Object3D} root
+     * @param {THREE.Object3D} node - root itself or one of its descendants
+     */
+    selectNode(root, node) {
+        this.viewer.select(root);
+        this.viewer.highlightPart(node);
+        this.outliner.setSelected(node);
+    }
+
+    /**
+     * Rename or show/hide a node from the outliner
+     * @param {THREE.Object3D} root
+     * @param {THREE.Object3D} node
+     * @param {{name?: string, visible?: boolean}} changes
+     */
+    updateNode(root, node, changes) {
+        setNodeOverride(root, node, changes);
+        if (root === this.currentObject && root.userData.sourceCode) {
+            this.chat.setRefineTarget(`"${objectLabel(root)}"`);
+        }
+        this.outliner.render();
+        this.scheduleSave();
+    }
+
+    /**
+     * @param {boolean} playing
+     */
+    setAnimationPlaying(playing) {
+        this.viewer.setAnimationPlaying(playing);
+        this.timeline.setPlaying(playing);
+    }
+
+    /**
+     * @param {'translate'|'rotate'|'scale'} mode
+     */
+    setTransformMode(mode) {
+        this.viewer.setTransformMode(mode);
+        document.querySelectorAll('#selectionTools .mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+    }
+
+    deleteSelected() {
+        const object = this.viewer.getSelected();
+        if (!object || this.chat.isLoading) return;
+
+        const index = this.viewer.removeObject(object, { dispose: false });
+        this.sceneHistory.push(new RemoveObjectCommand(this.viewer, object, index, `Delete "${objectLabel(object)}"`));
+        this.syncOverlay();
+        this.scheduleSave();
+    }
+
+    clearScene() {
+        if (this.chat.isLoading) return;
+
+        const removed = this.viewer.clearUserObjects({ dispose: false });
+        if (removed.length > 0) {
+            this.sceneHistory.push(new ClearSceneCommand(this.viewer, removed));
+        }
+        this.showOverlay();
+        this.scheduleSave();
+    }
+
+    /**
+     * Record a finished gizmo drag so it can be undone
+     * @param {THREE.Object3D} object
+     * @param {object} before - Its transform when the drag started
+     */
+    handleTransform(object, before) {
+        const after = readTransform(object);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.sceneHistory.push(new TransformObjectCommand(this.viewer, object, before, after, `Transform "${objectLabel(object)}"`));
+        this.scheduleSave();
+    }
+
+    undo() {
+        // A refinement or parameter change in flight still points at the object it will replace
+        if (this.chat.isLoading || this.parameterEdit || !this.sceneHistory.undo()) return;
+        this.syncOverlay();
+        this.scheduleSave();
+    }
+
+    redo() {
+        if (this.chat.isLoading || this.parameterEdit || !this.sceneHistory.redo()) return;
+        this.syncOverlay();
+        this.scheduleSave();
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const undoLabel = this.sceneHistory.undoLabel();
+        const redoLabel = this.sceneHistory.redoLabel();
+
+        undoBtn.disabled = !undoLabel;
+        undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoBtn.disabled = !redoLabel;
+        redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    /**
+     * Copy the selected object by rebuilding it from its source, offset slightly so both are visible
+     */
+    async duplicateSelected() {
+        const original = this.viewer.getSelected();
+        if (!original || this.chat.isLoading) return;
 
         try {
-            // Call API to generate code
-            const response = await generateCode(message);
+            const { id, ...entry } = describeObject(original);
+            const copy = await this.rebuildObject(entry);
+            tagObject(copy, entry);
+            applyTransform(copy, entry.transform);
+            applyNodeOverrides(copy, entry.nodes);
+            copy.position.x += new THREE.Box3().setFromObject(original).getSize(new THREE.Vector3()).x + 0.5;
 
-            if (!response.success) {
-                throw new Error(response.error || 'Generation failed');
+            this.viewer.addObject(copy);
+            this.viewer.select(copy);
+            this.sceneHistory.push(new AddObjectCommand(this.viewer, copy, `Duplicate "${objectLabel(copy)}"`));
+            this.scheduleSave();
+        } catch (error) {
+            alert('Duplicate failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Build an object from a saved description: re-run its code in the
+     * sandbox, or re-load the file it was imported from
+     * @param {{code?: string, asset?: {id: string, format: string, name: string}, parameters?: object}} entry
+     * @returns {Promise<THREE.Object3D>}
+     */
+    async rebuildObject({ code, asset, parameters }) {
+        if (asset) {
+            return parseModel(await fetchAsset(asset.id), asset.format, asset.name);
+        }
+        return executeThreeJSCode(code, { parameters });
+    }
+
+    /**
+     * Rebuild the selected object live while a parameter control is dragged.
+     * One run is in flight at a time; only the latest values are queued behind it.
+     * @param {object} values - Every parameter's value
+     */
+    previewParameters(values) {
+        const object = this.viewer.getSelected();
+        if (!object || this.chat.isLoading) return;
+
+        const edit = this.parameterEdit ??= {
+            original: object,
+            current: object,
+            requested: object.userData.parameters,
+            queued: null,
+            running: null
+        };
+        // Nothing to do for unchanged values (a checkbox reports them as input and again as change)
+        if (JSON.stringify(values) === JSON.stringify(edit.requested)) return;
+        edit.requested = values;
+        edit.queued = values;
+        edit.running ??= this.runParameterEdit(edit);
+    }
+
+    /**
+     * @param {object} edit - this.parameterEdit
+     * @returns {Promise<void>} - Settles once the queue is empty
+     */
+    async runParameterEdit(edit) {
+        while (edit.queued) {
+            const values = edit.queued;
+            edit.queued = null;
+
+            try {
+                const entry = describeObject(edit.current);
+                const object = await this.rebuildObject({ ...entry, parameters: values });
+                tagObject(object, entry);
+                applyTransform(object, entry.transform);
+                applyNodeOverrides(object, entry.nodes);
+
+                // Intermediate results are nobody's undo state; the original is
+                this.viewer.replaceObject(edit.current, object, { dispose: edit.current !== edit.original, focus: false });
+                edit.current = object;
+                this.parameterPanel.setStatus('');
+            } catch (error) {
+                this.parameterPanel.setStatus(error.message, true);
             }
+        }
+        edit.running = null;
+    }
 
-            // Clean the code
-            const cleanedCode = cleanCode(response.code);
+    /**
+     * Finish a parameter change: apply the final values and record one undo step
+     * @param {object} values - Every parameter's value
+     */
+    async commitParameters(values) {
+        this.previewParameters(values);
+        const edit = this.parameterEdit;
+        if (!edit) return;
 
-            // Execute the code safely
-            const object = executeThreeJSCode(cleanedCode);
+        while (edit.running) await edit.running;
+        if (this.parameterEdit !== edit) return;
+        this.parameterEdit = null;
 
-            // Add to scene
-            this.viewer.addObject(object);
-            this.hideOverlay();
+        if (edit.current !== edit.original) {
+            this.sceneHistory.push(new ReplaceObjectCommand(this.viewer, edit.original, edit.current, `Change "${objectLabel(edit.current)}" parameters`));
+            this.scheduleSave();
+        }
+        this.parameterPanel.show(this.viewer.getSelected());
+    }
 
-            // Show success message
-            this.chat.removeTypingIndicator();
-            this.chat.addMessage(
-                'I\'ve created your 3D model! You can rotate it by dragging, zoom with scroll, and download it using the toolbar.',
-                'ai',
-                { code: cleanedCode }
-            );
+    /**
+     * Add model files to the scene as regular user objects
+     * @param {File[]} files
+     */
+    async importFiles(files) {
+        for (const file of files) {
+            try {
+                const format = importFormatOf(file.name);
+                if (!format) {
+                    throw new Error(`${file.name} is not a supported file (${IMPORT_EXTENSIONS.join(', ')})`);
+                }
+                if (file.size > this.config.maxImportBytes) {
+                    throw new Error(`${file.name} is larger than the ${Math.round(this.config.maxImportBytes / 1024 / 1024)} MB import limit`);
+                }
 
+                // Parse before uploading so broken files never reach the server
+                const object = await parseModel(await file.arrayBuffer(), format, file.name);
+                const asset = await uploadAsset(file, { format, name: file.name });
+                tagObject(object, { asset: { id: asset.id, format, name: file.name } });
+
+                placeOnGround(object, this.viewer.getUserObjects());
+                this.viewer.addObject(object);
+                this.viewer.select(object);
+                this.sceneHistory.push(new AddObjectCommand(this.viewer, object, `Import "${objectLabel(object)}"`));
+                this.hideOverlay();
+                this.scheduleSave();
+            } catch (error) {
+                alert('Import failed: ' + error.message);
+            }
+        }
+    }
+
+    /**
+     * Download the whole session as a .forge.json file
+     */
+    async saveProjectFile() {
+        try {
+            const objects = this.viewer.getUserObjects().map(describeObject);
+
+            // Imported models travel inside the file so it works on any server
+            const assetRefs = new Map();
+            objects.forEach(({ asset }) => {
+                if (asset) assetRefs.set(asset.id, asset);
+            });
+            const assets = await Promise.all([...assetRefs.values()].map(async (asset) => ({
+                ...asset,
+                data: await fetchAsset(asset.id)
+            })));
+
+            const name = this.projects.getActiveName() || 'Untitled project';
+            const file = createProjectFile({
+                name,
+                objects,
+                messages: this.chat.getTranscript(),
+                history: this.history,
+                camera: this.viewer.getCameraPose(),
+                viewer: this.viewer.getSettings(),
+                assets
+            });
+
+            const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, `${name.replace(/[^\w.-]+/g, '-')}${FORGE_EXTENSION}`);
         } catch (error) {
-            console.error('Generation error:', error);
+            alert('Could not save project file: ' + error.message);
+        }
+    }
 
-            this.chat.removeTypingIndicator();
-            this.chat.addMessage(
-                'I encountered an issue creating that object.',
-                'ai',
-                { error: error.message }
-            );
+    /**
+     * Open a .forge.json file as a new project, rebuilding every object from its code
+     * @param {File} fileHandle
+     */
+    async openProjectFile(fileHandle) {
+        if (this.chat.isLoading) return;
+
+        try {
+            const file = parseProjectFile(await fileHandle.text());
+            await this.flushSave();
+
+            // Embedded files get new ids on this server
+            const assetIds = new Map();
+            for (const asset of file.assets) {
+                const stored = await uploadAsset(new Blob([asset.data]), { format: asset.format, name: asset.name });
+                assetIds.set(asset.id, stored.id);
+            }
+            const objects = file.objects.map(object => object.asset
+                ? { ...object, asset: { ...object.asset, id: assetIds.get(object.asset.id) } }
+                : object);
+
+            const name = file.name || fileHandle.name.replace(FORGE_EXTENSION, '');
+            const project = await createProject(name);
+            await this.openProject(await updateProject(project.id, {
+                messages: file.chat.messages,
+                history: file.chat.history,
+                objects
+            }));
+
+            // Adding objects moved the camera; put it back where the file had it
+            if (file.camera) this.viewer.setCameraPose(file.camera);
+            if (file.viewer) {
+                const { transformMode, ...settings } = file.viewer;
+                if (Object.values(TRANSFORM_KEYS).includes(transformMode)) {
+                    this.setTransformMode(transformMode);
+                }
+                this.viewer.applySettings(settings);
+            }
+
+            await this.refreshProjectList();
+        } catch (error) {
+            alert('Could not open project file: ' + error.message);
+        }
+    }
+
+    async initProjects() {
+        try {
+            const { projects } = await listProjects();
+            const project = projects.length > 0
+                ? await loadProject(projects[0].id)
+                : await createProject('Untitled project');
+
+            await this.openProject(project);
+            await this.refreshProjectList();
+        } catch (error) {
+            console.warn('Project storage unavailable:', error);
+            this.projects.setDisabled(true);
+            this.projects.setStatus('Not saved', true);
+        }
+    }
+
+    async refreshProjectList() {
+        const { projects } = await listProjects();
+        this.projects.setProjects(projects, this.projectId);
+    }
+
+    /**
+     * Replace the current session with a saved project
+     * @param {object} project - Full project from the server
+     */
+    async openProject(project) {
+        clearTimeout(this.saveTimer);
+        this.isRestoring = true;
+        this.projects.setDisabled(true);
+
+        try {
+            this.projectId = project.id;
+            this.sceneHistory.clear();
+            this.discardVariations();
+            this.viewer.clearUserObjects();
+            this.history = [...project.history];
+            this.chat.loadTranscript(project.messages);
+
+            // Rebuild every object from its code, then restore its transform
+            let lastObject = null;
+            for (const entry of project.objects) {
+                try {
+                    const object = await this.rebuildObject(entry);
+                    tagObject(object, entry);
+                    applyTransform(object, entry.transform);
+                    applyNodeOverrides(object, entry.nodes);
+                    this.viewer.addObject(object);
+                    lastObject = object;
+                } catch (error) {
+                    this.chat.render('I couldn\'t rebuild one of this project\'s objects.', 'ai', { error: error.message });
+                }
+            }
+
+            this.viewer.select(lastObject);
+            if (lastObject) {
+                this.hideOverlay();
+            } else {
+                this.showOverlay();
+            }
+            this.projects.setStatus('Saved');
+        } finally {
+            this.isRestoring = false;
+            this.projects.setDisabled(false);
+        }
+    }
+
+    async switchProject(id) {
+        await this.flushSave();
+        try {
+            await this.openProject(await loadProject(id));
+        } catch (error) {
+            alert('Could not open project: ' + error.message);
+            await this.refreshProjectList();
+        }
+    }
+
+    async handleCreateProject() {
+        const name = prompt('Project name', 'Untitled project');
+        if (name === null) return;
+
+        try {
+            await this.flushSave();
+            await this.openProject(await createProject(name.trim() || 'Untitled project'));
+            await this.refreshProjectList();
+        } catch (error) {
+            alert('Could not create project: ' + error.message);
+        }
+    }
+
+    async handleRenameProject(id) {
+        const name = prompt('Rename project', this.projects.getActiveName());
+        if (name === null || !name.trim()) return;
+
+        try {
+            await updateProject(id, { name: name.trim() });
+            await this.refreshProjectList();
+        } catch (error) {
+            alert('Could not rename project: ' + error.message);
+        }
+    }
+
+    async handleDeleteProject(id) {
+        if (!confirm('Delete this project? This cannot be undone.')) return;
+
+        try {
+            clearTimeout(this.saveTimer);
+            await deleteProject(id);
+            await this.initProjects();
+        } catch (error) {
+            alert('Could not delete project: ' + error.message);
+        }
+    }
+
+    /**
+     * Save the open project shortly after the latest change
+     */
+    scheduleSave() {
+        if (!this.projectId || this.isRestoring) return;
+
+        clearTimeout(this.saveTimer);
+        this.projects.setStatus('Saving...');
+        this.saveTimer = setTimeout(() => this.saveProject(), 500);
+    }
+
+    /**
+     * Run a pending autosave immediately
+     */
+    async flushSave() {
+        if (this.saveTimer === null) return;
+        clearTimeout(this.saveTimer);
+        await this.saveProject();
+    }
+
+    async saveProject() {
+        this.saveTimer = null;
+        try {
+            await updateProject(this.projectId, {
+                messages: this.chat.getTranscript(),
+                history: this.history,
+                objects: this.viewer.getUserObjects().map(describeObject)
+            });
+            this.projects.setStatus('Saved');
+        } catch (error) {
+            console.error('Save failed:', error);
+            this.projects.setStatus('Save failed', true);
+        }
+    }
+
+    async handleGenerate(message, { refine = false, model, image, fresh = false, variations = 1 } = {}) {
+        this.chat.setLoading(true);
+        this.projects.setDisabled(true);
+        this.showLoading(true);
+        this.discardVariations();
+
+        const target = refine && this.currentObject?.userData.sourceCode ? this.currentObject : null;
+        const maxRepairs = this.config.maxRepairAttempts;
+        let repair = null;
+        let tokenError = null;
+
+        try {
+            if (variations > 1) {
+                await this.generateVariations(message, { target, model, image, fresh, count: variations });
+                return;
+            }
+
+            for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+                const result = await this.attemptGeneration(message, { target, repair, model, image, fresh });
+
+                if (result.code) {
+                    this.recordTurn(message, result.code);
+                    return;
+                }
+
+                if (attempt < maxRepairs) {
+                    this.chat.addMessage(
+                        `Sending the error back to the AI for a fix (attempt ${attempt + 1} of ${maxRepairs})...`,
+                        'ai'
+                    );
+                    repair = { code: result.failedCode, error: result.error.message, attempt: attempt + 1 };
+                }
+            }
+
+            if (maxRepairs > 0) {
+                this.chat.addMessage(
+                    `I couldn't get working code after ${maxRepairs} repair attempts. Try rephrasing or simplifying the request.`,
+                    'ai'
+                );
+            }
+        } catch (error) {
+            // Already reported in the chat by attemptGeneration
+            console.error('Generation error:', error);
+            if (error instanceof ApiError && error.status === 401) tokenError = error;
         } finally {
             this.chat.setLoading(false);
+            this.projects.setDisabled(!this.projectId);
             this.showLoading(false);
+            this.scheduleSave();
         }
+
+        if (tokenError) this.requestApiToken(tokenError.message);
+    }
+
+    /**
+     * Ask for the server's API token after a 401 and remember it for later requests
+     * @param {string} reason - The server's error, e.g. 'Invalid API token'
+     */
+    requestApiToken(reason) {
+        const token = prompt(`${reason}. Enter the API token (API_TOKEN in the server's .env):`);
+        if (token === null) return;
+
+        setApiToken(token.trim());
+        this.chat.render(token.trim() ? 'Token saved. Send your message again.' : 'Token cleared.', 'ai');
+    }
+
+    /**
+     * Run one generation round, streaming it into the chat and placing the result
+     * @param {string} message - The user's prompt
+     * @param {object} options
+     * @param {THREE.Object3D|null} options.target - Object to replace, or null to add
+     * @param {{code: string, error: string, attempt: number}|null} options.repair - Failed attempt to fix
+     * @param {string} [options.model] - Model id picked in the chat panel
+     * @param {string} [options.image] - Reference image data URL; repairs go without it
+     * @param {boolean} [options.fresh] - Ask the model even if the server has this response cached
+     * @returns {Promise<{code: string}|{failedCode: string, error: SandboxError}>}
+     * @throws {Error} - On request or stream failures (already reported in the chat)
+     */
+    async attemptGeneration(message, { target, repair, model, image, fresh }) {
+        this.chat.addTypingIndicator();
+
+        let bubble = null;
+        let placedCode = null;
+        let failedCode = null;
+        let placeError = null;
+
+        const reply = (content, options) => {
+            if (bubble) {
+                bubble.finish(content, options);
+            } else {
+                this.chat.removeTypingIndicator();
+                this.chat.addMessage(content, 'ai', options);
+            }
+        };
+
+        let placement = null;
+        let cached = false;
+        let usage = null;
+
+        const tryPlace = async (code) => {
+            try {
+                placedCode = await this.placeObject(code, target, message);
+            } catch (error) {
+                if (!(error instanceof SandboxError)) throw error;
+                failedCode = cleanCode(code);
+                placeError = error;
+            }
+        };
+
+        try {
+            // Stream the response, placing the object as soon as its code block closes
+            const response = await generateCodeStream(message, {
+                history: this.history,
+                currentCode: target?.userData.sourceCode,
+                repair,
+                model,
+                image: repair ? undefined : image,
+                fresh,
+                scene: target || repair ? undefined : this.sceneLayout()
+            }, {
+                onToken: (text) => {
+                    if (!bubble) {
+                        this.chat.removeTypingIndicator();
+                        this.showLoading(false);
+                        bubble = this.chat.addStreamingMessage();
+                    }
+                    bubble.update(text);
+                },
+                onCode: (code) => {
+                    placement = tryPlace(code);
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Generation failed');
+            }
+            cached = response.cached;
+            usage = response.usage && { ...response.usage, model: response.model };
+
+            // No fenced block arrived mid-stream; fall back to the final payload
+            await (placement ?? tryPlace(response.code));
+            reportOutcome(response.usage?.id, placeError
+                ? { accepted: false, error: placeError.message }
+                : { accepted: true });
+        } catch (error) {
+            reply('I encountered an issue creating that object.', { error: error.message });
+            throw error;
+        }
+
+        if (placeError) {
+            reply(
+                repair ? `Fix attempt ${repair.attempt} still failed.` : 'That code failed to run.',
+                { code: failedCode, error: placeError.message, usage }
+            );
+            return { failedCode, error: placeError };
+        }
+
+        // Say when nothing new was asked of the model, so a disappointing result can be retried fresh
+        const note = cached ? ' *Reused a cached response; tick **Fresh** to ask the model again.*' : '';
+        if (repair) {
+            reply(`Fixed it on attempt ${repair.attempt}. Your 3D model is ready.${note}`, { code: placedCode, usage });
+        } else if (target) {
+            reply(`I've updated your 3D model.${note}`, { code: placedCode, usage });
+        } else {
+            reply(`I've created your 3D model! You can rotate it by dragging, zoom with scroll, and download it using the toolbar.${note}`, { code: placedCode, usage });
+        }
+
+        return { code: placedCode };
+    }
+
+    /**
+     * Ask for several candidates at once, run each through the sandbox and
+     * show the working ones as thumbnails to pick from. Candidates that fail
+     * are listed but never repaired.
+     * @param {string} message - The user's prompt
+     * @param {object} options
+     * @param {THREE.Object3D|null} options.target - Object the pick replaces, or null to add
+     * @param {string} [options.model] - Model id picked in the chat panel
+     * @param {string} [options.image] - Reference image data URL
+     * @param {boolean} [options.fresh] - Ask the model even if the server has these responses cached
+     * @param {number} options.count - How many candidates to ask for
+     * @throws {Error} - If every request failed (already reported in the chat)
+     */
+    async generateVariations(message, { target, model, image, fresh, count }) {
+        this.chat.addTypingIndicator();
+
+        // Requests go out together but run in the sandbox one at a time: a timeout
+        // restarts the worker and would take every other run with it
+        let sandboxQueue = Promise.resolve();
+        const scene = target ? undefined : this.sceneLayout();
+
+        const runCandidate = async (variant) => {
+            const response = await generateCode(message, {
+                history: this.history,
+                currentCode: target?.userData.sourceCode,
+                model,
+                image,
+                fresh,
+                variant,
+                scene
+            });
+            const usage = response.usage && { ...response.usage, model: response.model };
+            const code = cleanCode(response.code);
+
+            const run = sandboxQueue.then(() => executeThreeJSCode(code));
+            sandboxQueue = run.catch(() => { });
+            try {
+                const object = await run;
+                reportOutcome(response.usage?.id, { accepted: true });
+                return { variant, code, usage, object };
+            } catch (error) {
+                if (!(error instanceof SandboxError)) throw error;
+                reportOutcome(response.usage?.id, { accepted: false, error: error.message });
+                return { variant, usage, error };
+            }
+        };
+
+        const results = await Promise.allSettled(
+            Array.from({ length: count }, (_, variant) => runCandidate(variant))
+        );
+        this.chat.removeTypingIndicator();
+
+        const candidates = results.map((result, variant) => result.status === 'fulfilled'
+            ? result.value
+            : { variant, error: result.reason });
+        const working = candidates.filter(candidate => candidate.object);
+        const failures = candidates
+            .filter(candidate => candidate.error)
+            .map(({ variant, error }) => `Variation ${variant + 1}: ${error.message}`);
+        const usage = combineUsage(candidates.filter(candidate => candidate.usage).map(candidate => candidate.usage));
+        const error = failures.length > 0 ? failures.join('\n') : undefined;
+
+        if (working.length === 0) {
+            this.chat.addMessage(`None of the ${count} variations worked. Try rephrasing or simplifying the request.`, 'ai', { error, usage });
+            const refused = results.find(result => result.status === 'rejected');
+            if (refused) throw refused.reason;
+            return;
+        }
+
+        working.forEach((candidate) => {
+            tagObject(candidate.object, { code: candidate.code, prompt: message, id: target?.userData.objectId });
+            candidate.thumbnail = this.viewer.renderThumbnail(candidate.object);
+        });
+
+        const intro = working.length === count
+            ? `Here are ${count} variations.`
+            : `${working.length} of ${count} variations worked.`;
+        const strip = this.chat.addVariations(
+            `${intro} Pick one to ${target ? 'replace the selected object' : 'add it to the scene'}.`,
+            working.map(candidate => ({ thumbnail: candidate.thumbnail, label: `Variation ${candidate.variant + 1}` })),
+            {
+                error,
+                usage,
+                onPick: (index) => this.pickVariation(message, working[index], target)
+            }
+        );
+        this.variations = { objects: working.map(candidate => candidate.object), strip };
+    }
+
+    /**
+     * Put the chosen candidate in the scene and drop the others
+     * @param {string} message - The prompt the candidates were made for
+     * @param {{variant: number, code: string, object: THREE.Object3D}} candidate
+     * @param {THREE.Object3D|null} target - Object to replace, or null to add
+     */
+    pickVariation(message, { variant, code, object }, target) {
+        this.variations.objects
+            .filter(other => other !== object)
+            .forEach(other => this.viewer.disposeObject(other));
+        this.variations = null;
+
+        // The target may have been deleted or undone while the strip was up
+        const replaced = target && this.viewer.getUserObjects().includes(target) ? target : null;
+        this.insertObject(object, replaced);
+        this.recordTurn(message, code);
+        this.chat.addMessage(`Added variation ${variant + 1} to the scene.`, 'ai', { code });
+        this.scheduleSave();
+    }
+
+    /**
+     * Free the candidates of a variations request nobody picked
+     */
+    discardVariations() {
+        if (!this.variations) return;
+
+        this.variations.strip.close();
+        this.variations.objects.forEach(object => this.viewer.disposeObject(object));
+        this.variations = null;
+    }
+
+    /**
+     * Run generated code in the sandbox and put the result in the scene
+     * @param {string} code - Generated createObject code
+     * @param {THREE.Object3D|null} target - Object to replace, or null to add
+     * @param {string} prompt - The prompt that produced the code
+     * @returns {Promise<string>} - The cleaned code that was executed
+     */
+    async placeObject(code, target, prompt) {
+        // Clean the code
+        const cleanedCode = cleanCode(code);
+
+        // Execute the code in the sandbox worker
+        const object = await executeThreeJSCode(cleanedCode);
+        tagObject(object, {
+            code: cleanedCode,
+            prompt,
+            id: target?.userData.objectId
+        });
+
+        this.insertObject(object, target);
+        return cleanedCode;
+    }
+
+    /**
+     * Add a built object to the scene as an undoable step and select it
+     * @param {THREE.Object3D} object - Already tagged with its code and prompt
+     * @param {THREE.Object3D|null} target - Object to replace, or null to add
+     */
+    insertObject(object, target) {
+        // Replace the refined object, or add a new one; the original stays alive for undo
+        if (target) {
+            // The refinement keeps the target's place and its outliner renames and hidden parts
+            const { transform, nodes } = describeObject(target);
+            applyTransform(object, transform);
+            applyNodeOverrides(object, nodes);
+            this.viewer.replaceObject(target, object, { dispose: false });
+            this.sceneHistory.push(new ReplaceObjectCommand(this.viewer, target, object, `Refine "${objectLabel(object)}"`));
+        } else {
+            placeOnGround(object, this.viewer.getUserObjects());
+            this.viewer.addObject(object);
+            this.sceneHistory.push(new AddObjectCommand(this.viewer, object, `Add "${objectLabel(object)}"`));
+        }
+        this.viewer.select(object);
+        this.hideOverlay();
+    }
+
+    /**
+     * Names and bounding boxes of the objects in the scene, so the model can
+     * place a new one among them
+     * @returns {Array<{name: string, min: number[], max: number[]}>} - At most MAX_LAYOUT_OBJECTS, the newest ones
+     */
+    sceneLayout() {
+        return this.viewer.getUserObjects()
+            .slice(-MAX_LAYOUT_OBJECTS)
+            .flatMap((object) => {
+                const bounds = boundsOf(object);
+                return bounds ? [{ name: objectLabel(object), ...bounds }] : [];
+            });
+    }
+
+    /**
+     * Remember a successful exchange so follow-ups have context
+     * @param {string} message - The user's prompt
+     * @param {string} code - The code that was generated for it
+     */
+    recordTurn(message, code) {
+        this.history.push(
+            { role: 'user', content: message },
+            { role: 'assistant', content: '```javascript\n' + code + '\n```' }
+        );
     }
 
     showLoading(show) {
@@ -137,6 +1207,17 @@ class App {
         }
     }
 
+    /**
+     * Show the empty-scene hint only when there is nothing to look at
+     */
+    syncOverlay() {
+        if (this.viewer.getUserObjects().length === 0) {
+            this.showOverlay();
+        } else {
+            this.hideOverlay();
+        }
+    }
+
     showOverlay() {
         const overlay = document.getElementById('viewerOverlay');
         overlay.classList.remove('hidden');
@@ -2,23 +2,331 @@
  * API Service - Handles communication with backend
  */
 
-export async function generateCode(message) {
+// Where the API token for protected servers is remembered
+const TOKEN_STORAGE_KEY = 'forge.apiToken';
+
+/**
+ * An error response from the backend, with its HTTP status
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Shown to the user
+     * @param {number} status
+     * @param {number} [retryAfter] - Seconds to wait, for 429 responses
+     */
+    constructor(message, status, retryAfter) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Remember the token sent with generation requests
+ * @param {string} token - Empty to forget it
+ */
+export function setApiToken(token) {
+    if (token) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+}
+
+/**
+ * @returns {object} - Headers for a JSON request to a token-protected route
+ */
+function generationHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    return headers;
+}
+
+/**
+ * Turn a failed generation response into an error worth showing in the chat
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+async function generationError(response) {
+    const body = await response.json().catch(() => ({}));
+    const retryAfter = Number(response.headers.get('Retry-After')) || undefined;
+
+    // Fallbacks for responses that never reached the server's handlers (e.g. a proxy)
+    const fallback = {
+        401: 'This server requires an API token',
+        413: 'The request is too large; shorten the prompt or use a smaller image',
+        429: `Too many requests${retryAfter ? `; try again in ${retryAfter} s` : ''}`
+    }[response.status] ?? `Failed to generate code (${response.status})`;
+
+    return new ApiError(body.error || fallback, response.status, retryAfter);
+}
+
+/**
+ * Request generated code from the backend
+ * @param {string} message - The user's prompt
+ * @param {object} options - Conversation context
+ * @param {Array<{role: string, content: string}>} options.history - Prior chat turns
+ * @param {string} [options.currentCode] - Code of the object to refine, if any
+ * @param {{code: string, error: string, attempt: number}} [options.repair] - Failed code to fix
+ * @param {string} [options.model] - Model id from /api/models; the server default when omitted
+ * @param {{temperature?: number, maxTokens?: number}} [options.params] - Sampling overrides
+ * @param {string} [options.image] - Reference image as a data URL, for vision models
+ * @param {boolean} [options.fresh] - Skip the server's response cache
+ * @param {number} [options.variant] - Which candidate of a variations request this is (0-3)
+ * @param {Array<{name: string, min: number[], max: number[]}>} [options.scene] - Bounding boxes of
+ *     the objects already in the scene, so a new object can be placed among them
+ * @returns {Promise<{success: boolean, code: string, mode: string, model: string, attempt: number, cached: boolean, usage: object|null, rawResponse: string}>}
+ * @throws {ApiError} - If the server refuses the request (401, 413, 429...)
+ */
+export async function generateCode(message, { history = [], currentCode, repair, model, params, image, fresh, variant, scene } = {}) {
     const response = await fetch('/api/generate', {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ message })
+        headers: generationHeaders(),
+        body: JSON.stringify({ message, history, currentCode, repair, model, params, image, fresh, variant, scene })
     });
 
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to generate code');
+        throw await generationError(response);
     }
 
     return response.json();
 }
 
+/**
+ * Request generated code as a token stream
+ * @param {string} message - The user's prompt
+ * @param {object} context - Conversation context (see generateCode)
+ * @param {object} handlers
+ * @param {(text: string) => void} [handlers.onToken] - Called with the full text so far
+ * @param {(code: string) => void} [handlers.onCode] - Called once the fenced code block closes
+ * @returns {Promise<{success: boolean, code: string, mode: string, model: string, attempt: number, cached: boolean, usage: object|null, rawResponse: string}>}
+ * @throws {ApiError} - If the server refuses the request (401, 413, 429...)
+ */
+export async function generateCodeStream(message, { history = [], currentCode, repair, model, params, image, fresh, scene } = {}, { onToken, onCode } = {}) {
+    const response = await fetch('/api/generate/stream', {
+        method: 'POST',
+        headers: generationHeaders(),
+        body: JSON.stringify({ message, history, currentCode, repair, model, params, image, fresh, scene })
+    });
+
+    if (!response.ok) {
+        throw await generationError(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let codeSent = false;
+    let result = null;
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Server-sent events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const raw of events) {
+                const { event, data } = parseEvent(raw);
+
+                if (event === 'token') {
+                    text += data.text;
+                    onToken?.(text);
+
+                    if (!codeSent) {
+                        const code = findCompleteCodeBlock(text);
+                        if (code) {
+                            codeSent = true;
+                            onCode?.(code);
+                        }
+                    }
+                } else if (event === 'done') {
+                    result = data;
+                } else if (event === 'error') {
+                    throw new Error(data.details || data.error || 'Failed to generate code');
+                }
+            }
+        }
+    } catch (error) {
+        // Drop the rest of the stream so the server stops generating
+        reader.cancel().catch(() => { });
+        throw error;
+    }
+
+    if (!result) {
+        throw new Error('Generation stream ended unexpectedly');
+    }
+
+    return result;
+}
+
+/**
+ * Parse one server-sent event block
+ * @param {string} raw - Lines of a single event
+ * @returns {{event: string, data: object}}
+ */
+function parseEvent(raw) {
+    let event = 'message';
+    let data = '';
+
+    for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+        }
+    }
+
+    return { event, data: data ? JSON.parse(data) : {} };
+}
+
+/**
+ * Return the body of the first closed fenced code block, if any
+ * @param {string} text - Streamed model output so far
+ * @returns {string|null}
+ */
+function findCompleteCodeBlock(text) {
+    const match = text.match(/```(?:javascript|js)?\n([\s\S]*?)```/);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * List the models the server can generate with
+ * @returns {Promise<{models: Array<{id: string, provider: string, model: string, label: string, vision: boolean}>, default: string|null, params: object}>}
+ */
+export async function getModels() {
+    const response = await fetch('/api/models');
+    return response.json();
+}
+
+/**
+ * Tell the server whether a generation's code ran in the sandbox
+ * Best effort: a lost report only leaves the ledger's outcome unknown.
+ * @param {string} [id] - usage.id from the generation response; missing if the server couldn't record it
+ * @param {{accepted: boolean, error?: string}} outcome
+ */
+export function reportOutcome(id, outcome) {
+    if (!id) return;
+    fetch(`/api/usage/${encodeURIComponent(id)}/outcome`, {
+        method: 'POST',
+        headers: generationHeaders(),
+        body: JSON.stringify(outcome)
+    }).catch(error => console.warn('Could not report generation outcome:', error));
+}
+
+/**
+ * Fetch client-facing server settings
+ * @returns {Promise<{maxRepairAttempts: number, maxImportBytes: number, maxImageBytes: number}>}
+ */
+export async function getConfig() {
+    const response = await fetch('/api/config');
+    return response.json();
+}
+
+/**
+ * Send a JSON request and unwrap the response, throwing the server's error message
+ * @param {string} url
+ * @param {object} [options] - fetch options; a body object is JSON-encoded
+ * @returns {Promise<object|null>} - Parsed body, or null for 204 responses
+ */
+async function requestJSON(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Request failed (${response.status})`);
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * @returns {Promise<{projects: Array<{id: string, name: string, updatedAt: string}>}>}
+ */
+export function listProjects() {
+    return requestJSON('/api/projects');
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<object>} - The new, empty project
+ */
+export function createProject(name) {
+    return requestJSON('/api/projects', { method: 'POST', body: { name } });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object>} - The full project
+ */
+export function loadProject(id) {
+    return requestJSON(`/api/projects/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Rename and/or save a project
+ * @param {string} id
+ * @param {object} changes - Any of name, messages, history, objects
+ * @returns {Promise<object>}
+ */
+export function updateProject(id, changes) {
+    return requestJSON(`/api/projects/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<null>}
+ */
+export function deleteProject(id) {
+    return requestJSON(`/api/projects/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Store an imported model file on the server
+ * @param {Blob} file - Raw file contents
+ * @param {{format: string, name: string}} meta
+ * @returns {Promise<{id: string, format: string, name: string, size: number}>}
+ */
+export async function uploadAsset(file, { format, name }) {
+    const query = new URLSearchParams({ format, name });
+    const response = await fetch(`/api/assets?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Upload failed (${response.status})`);
+    }
+
+    return response.json();
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<ArrayBuffer>} - The stored file's bytes
+ */
+export async function fetchAsset(id) {
+    const response = await fetch(`/api/assets/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Could not load asset (${response.status})`);
+    }
+    return response.arrayBuffer();
+}
+
 export async function checkHealth() {
     const response = await fetch('/api/health');
     return response.json();
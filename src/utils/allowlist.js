@@ -0,0 +1,117 @@
+/**
+ * Sandbox Allowlist - What generated code may reference and how much it may build
+ * Shared by the sandbox validator and the server's system prompt so the two never drift apart.
+ */
+
+// Geometries the model may construct
+export const ALLOWED_GEOMETRIES = [
+    'BoxGeometry',
+    'SphereGeometry',
+    'CylinderGeometry',
+    'ConeGeometry',
+    'TorusGeometry',
+    'TorusKnotGeometry',
+    'PlaneGeometry',
+    'RingGeometry',
+    'DodecahedronGeometry',
+    'IcosahedronGeometry',
+    'OctahedronGeometry',
+    'TetrahedronGeometry',
+    'CapsuleGeometry',
+    'LatheGeometry',
+    'ExtrudeGeometry',
+    'ShapeGeometry',
+    'TubeGeometry'
+];
+
+// Materials the model may construct
+export const ALLOWED_MATERIALS = [
+    'MeshStandardMaterial',
+    'MeshPhysicalMaterial',
+    'MeshPhongMaterial',
+    'MeshLambertMaterial',
+    'MeshBasicMaterial'
+];
+
+// Scene-graph classes, math helpers and constants
+export const ALLOWED_HELPERS = [
+    'Group',
+    'Mesh',
+    'Object3D',
+    'Vector2',
+    'Vector3',
+    'Euler',
+    'Quaternion',
+    'Color',
+    'MathUtils',
+    'Shape',
+    'Path',
+    'LineCurve3',
+    'QuadraticBezierCurve3',
+    'CubicBezierCurve3',
+    'CatmullRomCurve3',
+    'FrontSide',
+    'BackSide',
+    'DoubleSide'
+];
+
+// Boolean operations on the CSG global (see csg.js)
+export const CSG_OPERATIONS = ['union', 'subtract', 'intersect'];
+
+// Factories on the Materials and Textures globals (see materialLibrary.js)
+export const MATERIAL_PRESETS = ['wood', 'brushedMetal', 'glass', 'rubber', 'fabric'];
+export const TEXTURE_PATTERNS = ['checker', 'noise', 'bricks', 'stripes'];
+
+// Every THREE.* member reachable from generated code
+export const ALLOWED_THREE_MEMBERS = new Set([
+    ...ALLOWED_GEOMETRIES,
+    ...ALLOWED_MATERIALS,
+    ...ALLOWED_HELPERS
+]);
+
+// Free identifiers generated code may read besides its own declarations
+export const ALLOWED_GLOBALS = new Set([
+    'THREE',
+    'CSG',
+    'Materials',
+    'Textures',
+    'Math',
+    'Number',
+    'Array',
+    'isFinite',
+    'isNaN',
+    'parseFloat',
+    'parseInt',
+    'undefined',
+    'NaN',
+    'Infinity'
+]);
+
+// Globals with members generated code could overwrite; the sandbox passes frozen
+// copies in their place and the validator refuses to store them in variables
+export const FROZEN_GLOBALS = new Set(['Math', 'Number', 'Array']);
+
+// Property names that lead to prototypes or the Function constructor
+export const BLOCKED_PROPERTIES = new Set([
+    'constructor',
+    'prototype',
+    '__proto__',
+    '__defineGetter__',
+    '__defineSetter__',
+    '__lookupGetter__',
+    '__lookupSetter__',
+    'caller',
+    'callee',
+    'arguments'
+]);
+
+// Resource caps applied to every sandbox run unless overridden
+export const DEFAULT_LIMITS = {
+    timeoutMs: 5000,
+    maxVertices: 500000,
+    maxMeshes: 500,
+    // Texels across all procedural textures; they travel back to the page as JSON
+    maxTexturePixels: 1024 * 1024,
+    // Keyframes across all tracks baked from animate()
+    maxAnimationKeys: 50000
+};
@@ -0,0 +1,167 @@
+/**
+ * Model Animation - Baking generated code's animate() into a keyframe clip
+ *
+ * Code may define, next to createObject:
+ *
+ *   const ANIMATION = { duration: 4, fps: 30 };   // optional, literals only
+ *   function animate(object, time, delta) { object.children[0].rotation.z = time * Math.PI / 2; }
+ *
+ * animate() never runs on the page. The sandbox calls it once per frame over
+ * one loop and records the position, rotation and scale of every part into a
+ * THREE.AnimationClip; the viewer plays that clip and GLB/glTF exports carry it.
+ * The object's own transform belongs to the user, so only its parts may move.
+ */
+
+import * as THREE from 'three';
+import { parse } from 'acorn';
+import { ValidationError } from './validator.js';
+
+export const DEFAULT_ANIMATION = { duration: 4, fps: 30 };
+
+const MAX_DURATION = 30;
+const MAX_FPS = 60;
+
+// Tolerance below which a sampled value counts as unchanged
+const EPSILON = 1e-6;
+
+// Recorded transform properties and their component counts
+const PROPERTIES = { position: 3, quaternion: 4, scale: 3 };
+
+/**
+ * Find out whether code animates, and how long one loop lasts
+ * @param {string} code - Code that has already passed validateCode()
+ * @returns {{duration: number, fps: number}|null} - null without a top-level animate()
+ * @throws {ValidationError} - If ANIMATION is malformed
+ */
+export function readAnimationSettings(code) {
+    const ast = parse(code, { ecmaVersion: 2022, sourceType: 'script', locations: true });
+
+    const hasAnimate = ast.body.some(node =>
+        node.type === 'FunctionDeclaration' && node.id.name === 'animate'
+    );
+    if (!hasAnimate) return null;
+
+    const declarator = ast.body
+        .filter(node => node.type === 'VariableDeclaration')
+        .flatMap(node => node.declarations)
+        .find(decl => decl.id.type === 'Identifier' && decl.id.name === 'ANIMATION');
+    if (!declarator) return { ...DEFAULT_ANIMATION };
+
+    const fail = (message, node) => {
+        throw new ValidationError(message, { line: node.loc.start.line, column: node.loc.start.column + 1 });
+    };
+    if (declarator.init?.type !== 'ObjectExpression') {
+        fail('ANIMATION must be an object literal', declarator);
+    }
+
+    const settings = { ...DEFAULT_ANIMATION };
+    declarator.init.properties.forEach((property) => {
+        const key = property.type === 'Property' && !property.computed ? property.key.name ?? property.key.value : null;
+        if (!Object.hasOwn(DEFAULT_ANIMATION, key)) {
+            fail('ANIMATION may only set duration and fps', property);
+        }
+        if (property.value.type !== 'Literal' || typeof property.value.value !== 'number') {
+            fail(`ANIMATION.${key} must be a number literal`, property.value);
+        }
+        settings[key] = property.value.value;
+    });
+
+    if (!(settings.duration > 0 && settings.duration <= MAX_DURATION)) {
+        fail(`ANIMATION.duration must be more than 0 and at most ${MAX_DURATION} seconds`, declarator);
+    }
+    if (!(Number.isInteger(settings.fps) && settings.fps >= 1 && settings.fps <= MAX_FPS)) {
+        fail(`ANIMATION.fps must be a whole number from 1 to ${MAX_FPS}`, declarator);
+    }
+    return settings;
+}
+
+/**
+ * Sample animate() over one loop and record the parts that move
+ * @param {THREE.Object3D} object - What createObject returned; left as it was found
+ * @param {Function} animate - The code's animate(object, time, delta)
+ * @param {{duration: number, fps: number}} settings
+ * @param {number} maxKeys - Keyframes allowed across all tracks
+ * @returns {THREE.AnimationClip|null} - null if nothing moved
+ * @throws {Error} - If animate() throws, moves the object itself, adds or removes parts, or records too much
+ */
+export function bakeAnimation(object, animate, { duration, fps }, maxKeys) {
+    const parts = [];
+    object.traverse((node) => {
+        if (node !== object) parts.push(node);
+    });
+
+    const frameCount = Math.round(duration * fps) + 1;
+    const times = new Float32Array(frameCount);
+    const samples = parts.map(() => Object.fromEntries(
+        Object.entries(PROPERTIES).map(([key, size]) => [key, new Float32Array(frameCount * size)])
+    ));
+
+    // Step 1: Remember where everything starts
+    const rootBefore = new THREE.Matrix4().compose(object.position, object.quaternion, object.scale);
+    const partsBefore = parts.map(node => Object.keys(PROPERTIES).map(key => node[key].clone()));
+
+    // Step 2: Step through one loop, recording every part's transform
+    for (let frame = 0; frame < frameCount; frame++) {
+        const time = Math.min(frame / fps, duration);
+        times[frame] = time;
+
+        try {
+            animate(object, time, frame === 0 ? 0 : 1 / fps);
+        } catch (error) {
+            throw new Error(`animate() failed at ${time.toFixed(2)} s: ${error?.message ?? String(error)}`);
+        }
+
+        parts.forEach((node, index) => {
+            Object.entries(PROPERTIES).forEach(([key, size]) => {
+                node[key].toArray(samples[index][key], frame * size);
+            });
+        });
+    }
+
+    // Step 3: Check animate() kept to the parts it was given
+    let partCount = -1;
+    object.traverse(() => partCount++);
+    if (partCount !== parts.length) {
+        throw new Error('animate() must not add or remove parts; create them all in createObject()');
+    }
+    const rootAfter = new THREE.Matrix4().compose(object.position, object.quaternion, object.scale);
+    if (!rootAfter.equals(rootBefore)) {
+        throw new Error('animate() must move the object\'s parts, not the object itself; put the moving parts in a THREE.Group');
+    }
+
+    // Step 4: Back to the first frame's pose, as created
+    parts.forEach((node, index) => {
+        Object.keys(PROPERTIES).forEach((key, k) => node[key].copy(partsBefore[index][k]));
+    });
+
+    // Step 5: One track per property that actually changes
+    const tracks = [];
+    parts.forEach((node, index) => {
+        Object.entries(PROPERTIES).forEach(([key, size]) => {
+            const values = samples[index][key];
+            if (!changes(values, size)) return;
+
+            const Track = key === 'quaternion' ? THREE.QuaternionKeyframeTrack : THREE.VectorKeyframeTrack;
+            tracks.push(new Track(`${node.uuid}.${key}`, times, values));
+        });
+    });
+    if (tracks.length === 0) return null;
+
+    if (tracks.length * frameCount > maxKeys) {
+        throw new Error(`Animation too large (${maxKeys.toLocaleString('en-US')} keyframes max). Animate fewer parts or lower ANIMATION.fps`);
+    }
+
+    return new THREE.AnimationClip('animate', duration, tracks);
+}
+
+/**
+ * @param {Float32Array} values - Samples of one property, frame after frame
+ * @param {number} stride - Components per sample
+ * @returns {boolean} - Whether any sample differs from the first
+ */
+function changes(values, stride) {
+    for (let i = stride; i < values.length; i++) {
+        if (Math.abs(values[i] - values[i % stride]) > EPSILON) return true;
+    }
+    return false;
+}
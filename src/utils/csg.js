@@ -0,0 +1,65 @@
+/**
+ * CSG Helpers - Boolean operations on meshes for generated code
+ * Exposed to the sandbox as the `CSG` global; runs inside the sandbox worker
+ * with every result charged against the run's budget.
+ *
+ *   CSG.union(a, b) / CSG.subtract(a, b) / CSG.intersect(a, b)
+ *
+ * Both meshes' own position, rotation and scale are applied. The result is a
+ * new mesh at the origin with a's material; a and b can still be used afterwards.
+ */
+
+import * as THREE from 'three';
+import { Evaluator, Brush, ADDITION, SUBTRACTION, INTERSECTION } from 'three-bvh-csg';
+import { CSG_OPERATIONS } from './allowlist.js';
+
+// Keyed by the names in CSG_OPERATIONS
+const OPERATIONS = {
+    union: ADDITION,
+    subtract: SUBTRACTION,
+    intersect: INTERSECTION
+};
+
+/**
+ * Build the CSG namespace handed to generated code
+ * @param {object} budget - The run's Budget (addVertices, addMesh)
+ * @returns {{union: Function, subtract: Function, intersect: Function}}
+ */
+export function createCSG(budget) {
+    const evaluator = new Evaluator();
+    // One material per result keeps exports and serialization simple
+    evaluator.useGroups = false;
+
+    const api = {};
+    CSG_OPERATIONS.forEach(name => {
+        const operation = OPERATIONS[name];
+        api[name] = (a, b) => {
+            if (!a?.isMesh || !b?.isMesh) {
+                throw new Error(`CSG.${name}() expects two meshes`);
+            }
+
+            const result = evaluator.evaluate(toBrush(a), toBrush(b), operation);
+            // Clipped triangles come back with slightly unnormalized normals
+            result.geometry.normalizeNormals();
+            const mesh = new THREE.Mesh(result.geometry, a.material);
+            budget.addMesh();
+            budget.addVertices(mesh.geometry.attributes.position.count);
+            return mesh;
+        };
+    });
+
+    return Object.freeze(api);
+}
+
+/**
+ * @param {THREE.Mesh} mesh
+ * @returns {Brush} - Same geometry, placed by the mesh's own transform
+ */
+function toBrush(mesh) {
+    const brush = new Brush(mesh.geometry, mesh.material);
+    brush.position.copy(mesh.position);
+    brush.quaternion.copy(mesh.quaternion);
+    brush.scale.copy(mesh.scale);
+    brush.updateMatrixWorld();
+    return brush;
+}
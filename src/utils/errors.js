@@ -0,0 +1,20 @@
+/**
+ * Error types shared by the sandbox worker and the page
+ */
+
+/**
+ * Raised when generated code is rejected or fails to run.
+ * These are the errors worth sending back to the model for a repair.
+ */
+export class SandboxError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {{line: number|null, column: number|null}} [loc] - Position of the offending code
+     */
+    constructor(message, loc = {}) {
+        super(message);
+        this.name = 'SandboxError';
+        this.line = loc.line ?? null;
+        this.column = loc.column ?? null;
+    }
+}
@@ -1,70 +1,354 @@
 /**
- * Export Utilities - GLTF, OBJ, and Screenshot exports
+ * Export Utilities - Model exports and screenshots
+ * Every model format goes through encodeModel(), which copies the user's
+ * objects into a throwaway scene, applies scale and up-axis, and leaves out
+ * anything hidden in the outliner; GLB and glTF also carry baked animation
+ * clips. It has no DOM dependencies, so the server's headless renderer uses it too.
  */
 
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
 import * as THREE from 'three';
 
 /**
- * Export scene to GLTF format
- * @param {THREE.Scene} scene - The scene to export
- * @param {string} filename - Output filename (without extension)
+ * Formats offered in the export dialog.
+ * `options` lists which settings apply; `upAxis` is the default for that format
+ * (glTF and USDZ are Y-up by specification, printers and CAD tools expect Z-up).
  */
-export function exportGLTF(scene, filename = '3d-model') {
-    const exporter = new GLTFExporter();
-
-    // Create a temporary group with only user objects
-    const exportScene = new THREE.Scene();
-    scene.children.forEach(child => {
-        // Skip helpers and lights
-        if (child.isGridHelper || child.isLight || child.isShadowMaterial) return;
-        if (child.material && child.material.isShadowMaterial) return;
-
-        // Clone user objects
-        if (child.isMesh || child.isGroup) {
-            const clone = child.clone();
-            exportScene.add(clone);
-        }
+export const EXPORT_FORMATS = {
+    glb: { label: 'GLB (binary glTF)', extension: 'glb', options: ['scale'], upAxis: 'y' },
+    gltf: { label: 'glTF (JSON)', extension: 'gltf', options: ['scale'], upAxis: 'y' },
+    'stl-binary': { label: 'STL (binary)', extension: 'stl', options: ['scale', 'upAxis'], upAxis: 'z' },
+    'stl-ascii': { label: 'STL (ASCII)', extension: 'stl', options: ['scale', 'upAxis'], upAxis: 'z' },
+    ply: { label: 'PLY (vertex colors)', extension: 'ply', options: ['scale', 'upAxis', 'binary'], upAxis: 'y' },
+    usdz: { label: 'USDZ (AR Quick Look)', extension: 'usdz', options: ['scale'], upAxis: 'y' },
+    obj: { label: 'OBJ + MTL (zip)', extension: 'zip', options: ['scale', 'upAxis'], upAxis: 'y' }
+};
+
+/**
+ * Export user objects to a file and download it
+ * @param {THREE.Object3D[]} objects - The scene's user objects
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} [options] - See encodeModel
+ */
+export async function exportModel(objects, format, options) {
+    const { blob, filename } = await encodeModel(objects, format, options);
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Encode user objects in a model format
+ * @param {THREE.Object3D[]} objects - The scene's user objects
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} [options]
+ * @param {number} [options.scale=1] - Uniform scale applied to the whole export
+ * @param {'y'|'z'} [options.upAxis] - Up axis, where the format allows a choice
+ * @param {boolean} [options.binary=true] - Binary encoding, where the format allows a choice
+ * @param {string} [options.filename] - Output filename (without extension)
+ * @returns {Promise<{blob: Blob, filename: string}>} - The file and its full name
+ */
+export async function encodeModel(objects, format, {
+    scale = 1,
+    upAxis,
+    binary = true,
+    filename = '3d-model'
+} = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    if (!(scale > 0) || !Number.isFinite(scale)) {
+        throw new Error('Scale must be a positive number');
+    }
+
+    // The OBJ's mtllib line refers to the MTL by name, so keep it plain
+    const safeName = filename.trim().replace(/[^\w.-]+/g, '-') || '3d-model';
+
+    const allowsUpAxis = spec.options.includes('upAxis');
+    const { scene, animations, owned } = buildExportScene(objects, {
+        scale,
+        upAxis: allowsUpAxis ? (upAxis ?? spec.upAxis) : spec.upAxis
+    });
+
+    try {
+        const blob = await WRITERS[format](scene, { binary, filename: safeName, owned, animations });
+        return { blob, filename: `${safeName}.${spec.extension}` };
+    } finally {
+        // Copies made for the export only; the live scene keeps its own
+        owned.forEach(resource => resource.dispose());
+    }
+}
+
+/**
+ * Copy visible user objects under a root that carries scale and up-axis
+ * @param {THREE.Object3D[]} objects
+ * @param {{scale: number, upAxis: 'y'|'z'}} options
+ * @returns {{scene: THREE.Scene, animations: THREE.AnimationClip[], owned: Array<{dispose: () => void}>}} -
+ *     The scene, the objects' clips retargeted to the copies, and the materials
+ *     cloned for it, to be disposed afterwards
+ */
+function buildExportScene(objects, { scale, upAxis }) {
+    const scene = new THREE.Scene();
+    const root = new THREE.Group();
+    root.name = 'export';
+    root.scale.setScalar(scale);
+    if (upAxis === 'z') {
+        // Turn +Y (three.js up) into +Z
+        root.rotation.x = Math.PI / 2;
+    }
+    scene.add(root);
+
+    const owned = [];
+    const animations = [];
+    objects.forEach(object => {
+        if (!object.visible) return;
+        const copy = object.clone();
+
+        // Nodes line up one to one until hidden ones are removed
+        const copies = new Map();
+        const copyNodes = [];
+        copy.traverse(node => copyNodes.push(node));
+        object.traverse(node => copies.set(node.uuid, copyNodes[copies.size]));
+
+        // Drop parts hidden in the outliner
+        const hidden = [];
+        copy.traverse(node => {
+            if (!node.visible) hidden.push(node);
+        });
+        hidden.forEach(node => node.removeFromParent());
+
+        // Clone materials so writers can rename or convert them freely
+        copy.traverse(node => {
+            if (!node.isMesh) return;
+            node.material = Array.isArray(node.material)
+                ? node.material.map(material => material.clone())
+                : node.material.clone();
+            owned.push(...[node.material].flat());
+        });
+
+        animations.push(...retargetClips(object, copy, copies));
+        root.add(copy);
     });
 
-    exporter.parse(
-        exportScene,
-        (gltf) => {
-            const blob = new Blob([JSON.stringify(gltf)], { type: 'application/json' });
-            downloadBlob(blob, `${filename}.gltf`);
-        },
-        (error) => {
-            console.error('GLTF export error:', error);
-            throw new Error('Failed to export GLTF');
-        },
-        { binary: false }
-    );
+    scene.updateMatrixWorld(true);
+    return { scene, animations, owned };
 }
 
 /**
- * Export scene to OBJ format
- * @param {THREE.Scene} scene - The scene to export
- * @param {string} filename - Output filename (without extension)
+ * Point an object's clips at its export copy. Tracks name nodes by uuid, and
+ * clones get new ones; tracks of parts left out of the copy are dropped.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Object3D} copy - object.clone(), possibly with hidden parts removed
+ * @param {Map<string, THREE.Object3D>} copies - Copy of each node, by the original's uuid
+ * @returns {THREE.AnimationClip[]}
  */
-export function exportOBJ(scene, filename = '3d-model') {
-    const exporter = new OBJExporter();
-
-    // Create export scene with only meshes
-    const exportScene = new THREE.Scene();
-    scene.children.forEach(child => {
-        if (child.isGridHelper || child.isLight) return;
-        if (child.material && child.material.isShadowMaterial) return;
-
-        if (child.isMesh || child.isGroup) {
-            const clone = child.clone();
-            exportScene.add(clone);
+function retargetClips(object, copy, copies) {
+    return object.animations
+        .map(clip => {
+            const tracks = clip.tracks.flatMap(track => {
+                const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+                const target = copies.get(nodeName);
+                if (!target || !copy.getObjectById(target.id)) return [];
+
+                const retargeted = track.clone();
+                retargeted.name = `${target.uuid}.${propertyName}`;
+                return [retargeted];
+            });
+            return new THREE.AnimationClip(object.name || object.userData.prompt || clip.name, clip.duration, tracks);
+        })
+        .filter(clip => clip.tracks.length > 0);
+}
+
+/**
+ * Format writers: each turns the export scene into a Blob
+ */
+const WRITERS = {
+    async glb(scene, { animations }) {
+        const glb = await new GLTFExporter().parseAsync(scene, { binary: true, animations });
+        return new Blob([glb], { type: 'model/gltf-binary' });
+    },
+
+    async gltf(scene, { animations }) {
+        const gltf = await new GLTFExporter().parseAsync(scene, { binary: false, animations });
+        return new Blob([JSON.stringify(gltf)], { type: 'model/gltf+json' });
+    },
+
+    async 'stl-binary'(scene) {
+        const data = new STLExporter().parse(scene, { binary: true });
+        return new Blob([data], { type: 'model/stl' });
+    },
+
+    async 'stl-ascii'(scene) {
+        const data = new STLExporter().parse(scene, { binary: false });
+        return new Blob([data], { type: 'model/stl' });
+    },
+
+    async ply(scene, { binary, owned }) {
+        // PLY has no materials, so each mesh's color is written per vertex
+        scene.traverse(node => {
+            if (!node.isMesh) return;
+            node.geometry = bakeVertexColors(node);
+            owned.push(node.geometry);
+        });
+
+        const data = await new Promise(resolve => {
+            new PLYExporter().parse(scene, resolve, { binary, littleEndian: true });
+        });
+        return new Blob([data], { type: binary ? 'application/octet-stream' : 'text/plain' });
+    },
+
+    async usdz(scene, { owned }) {
+        // USDZ only understands MeshStandardMaterial
+        scene.traverse(node => {
+            if (!node.isMesh) return;
+            const material = [node.material].flat()[0];
+            node.material = toStandardMaterial(material, owned);
+            owned.push(node.material);
+        });
+
+        const data = await new USDZExporter().parse(scene);
+        return new Blob([data], { type: 'model/vnd.usdz+zip' });
+    },
+
+    async obj(scene, { filename }) {
+        // OBJExporter writes `usemtl <name>` for named materials; the MTL defines them
+        const materials = new Set();
+        scene.traverse(node => {
+            if (!node.isMesh) return;
+            [node.material].flat().forEach(material => {
+                if (!materials.has(material)) {
+                    material.name = `material_${materials.size + 1}`;
+                    materials.add(material);
+                }
+            });
+        });
+
+        const obj = `mtllib ${filename}.mtl\n` + new OBJExporter().parse(scene);
+        const mtl = [...materials].map(writeMTLEntry).join('\n');
+
+        const zip = zipSync({
+            [`${filename}.obj`]: strToU8(obj),
+            [`${filename}.mtl`]: strToU8(mtl)
+        });
+        return new Blob([zip], { type: 'application/zip' });
+    }
+};
+
+/**
+ * Copy a mesh's geometry with a color attribute filled from its material(s)
+ * @param {THREE.Mesh} mesh
+ * @returns {THREE.BufferGeometry}
+ */
+function bakeVertexColors(mesh) {
+    const geometry = mesh.geometry.clone();
+    const { index } = geometry;
+    const vertexCount = geometry.attributes.position.count;
+    const colors = new Float32Array(vertexCount * 3);
+    const materials = [mesh.material].flat();
+
+    const fill = (color, start, count) => {
+        const end = Math.min(start + count, index ? index.count : vertexCount);
+        for (let i = start; i < end; i++) {
+            const vertex = index ? index.getX(i) : i;
+            color.toArray(colors, vertex * 3);
         }
+    };
+
+    const white = new THREE.Color(1, 1, 1);
+    if (materials.length > 1 && geometry.groups.length > 0) {
+        geometry.groups.forEach(group => {
+            fill(materials[group.materialIndex]?.color ?? white, group.start, group.count);
+        });
+    } else {
+        fill(materials[0]?.color ?? white, 0, Infinity);
+    }
+
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+}
+
+/**
+ * @param {THREE.Material} material
+ * @param {Array<{dispose: () => void}>} owned - Receives any textures created
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function toStandardMaterial(material, owned) {
+    const standard = new THREE.MeshStandardMaterial({
+        name: material.name,
+        color: material.color ?? 0xffffff,
+        opacity: material.opacity,
+        transparent: material.transparent,
+        side: material.side
+    });
+    if (material.emissive) standard.emissive.copy(material.emissive);
+    if (material.roughness !== undefined) standard.roughness = material.roughness;
+    if (material.metalness !== undefined) standard.metalness = material.metalness;
+
+    // No transmission in USDZ; see-through is the closest match for glass
+    if (material.transmission > 0) {
+        standard.transparent = true;
+        standard.opacity = Math.min(standard.opacity, 1 - 0.75 * material.transmission);
+    }
+
+    // The USDZ writer only reads images and canvases, not pixel buffers
+    ['map', 'normalMap'].forEach(slot => {
+        const texture = material[slot];
+        if (!texture) return;
+        standard[slot] = texture.isDataTexture ? toCanvasTexture(texture) : texture;
+        if (standard[slot] !== texture) owned.push(standard[slot]);
+    });
+    return standard;
+}
+
+/**
+ * Copy a data texture (e.g. a procedural texture) onto a canvas
+ * @param {THREE.DataTexture} texture - RGBA, 8 bits per channel
+ * @returns {THREE.CanvasTexture}
+ */
+function toCanvasTexture(texture) {
+    const { data, width, height } = texture.image;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(data), width, height), 0, 0);
+
+    const copy = new THREE.CanvasTexture(canvas);
+    ['wrapS', 'wrapT', 'colorSpace', 'flipY'].forEach(key => {
+        copy[key] = texture[key];
     });
+    copy.repeat.copy(texture.repeat);
+    copy.offset.copy(texture.offset);
+    return copy;
+}
+
+/**
+ * One `newmtl` block; MTL colors are sRGB while three.js works in linear
+ * @param {THREE.Material} material
+ * @returns {string}
+ */
+function writeMTLEntry(material) {
+    const rgb = (color) => {
+        const { r, g, b } = color.getRGB(new THREE.Color(), THREE.SRGBColorSpace);
+        return `${r.toFixed(6)} ${g.toFixed(6)} ${b.toFixed(6)}`;
+    };
 
-    const result = exporter.parse(exportScene);
-    const blob = new Blob([result], { type: 'text/plain' });
-    downloadBlob(blob, `${filename}.obj`);
+    const lines = [`newmtl ${material.name}`];
+    lines.push(`Kd ${rgb(material.color ?? new THREE.Color(1, 1, 1))}`);
+    lines.push('Ka 0.000000 0.000000 0.000000');
+    if (material.specular) {
+        lines.push(`Ks ${rgb(material.specular)}`);
+        lines.push(`Ns ${material.shininess ?? 30}`);
+    } else {
+        lines.push('Ks 0.000000 0.000000 0.000000');
+    }
+    if (material.emissive) lines.push(`Ke ${rgb(material.emissive)}`);
+    lines.push(`d ${material.opacity}`);
+    lines.push('illum 2');
+    return lines.join('\n') + '\n';
 }
 
 /**
@@ -84,7 +368,7 @@ export function downloadScreenshot(dataUrl, filename = 'screenshot') {
  * @param {Blob} blob - The blob to download
  * @param {string} filename - Output filename
  */
-function downloadBlob(blob, filename) {
+export function downloadBlob(blob, filename) {
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
     link.download = filename;
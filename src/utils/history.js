@@ -0,0 +1,259 @@
+/**
+ * Scene History - Undo/redo for changes to the user's objects
+ * Every change is recorded as a command after it has been applied. Objects a
+ * command takes out of the scene stay alive so undo can put them back; their
+ * geometry and materials are only freed once the command leaves the history.
+ */
+
+import { applyTransform } from './serialize.js';
+
+// Commands kept before the oldest is dropped
+const DEFAULT_LIMIT = 50;
+
+export class CommandHistory {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.limit] - Maximum number of undoable commands
+     * @param {() => void} [options.onChange] - Called whenever either stack changes
+     */
+    constructor({ limit = DEFAULT_LIMIT, onChange } = {}) {
+        this.limit = limit;
+        this.onChange = onChange || (() => { });
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that has just been applied
+     * @param {object} command - Has undo(), redo() and discard(undone)
+     */
+    push(command) {
+        // A new change makes everything that was undone unreachable
+        this.redoStack.forEach(entry => entry.discard(true));
+        this.redoStack = [];
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift().discard(false);
+        }
+        this.onChange();
+    }
+
+    /**
+     * @returns {boolean} - Whether there was anything to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * @returns {boolean} - Whether there was anything to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.onChange();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the command the next undo would revert
+     * @returns {string|null}
+     */
+    undoLabel() {
+        return this.undoStack.at(-1)?.label ?? null;
+    }
+
+    /**
+     * Label of the command the next redo would re-apply
+     * @returns {string|null}
+     */
+    redoLabel() {
+        return this.redoStack.at(-1)?.label ?? null;
+    }
+
+    /**
+     * Forget every command, freeing objects only the history still holds
+     */
+    clear() {
+        this.undoStack.forEach(entry => entry.discard(false));
+        this.redoStack.forEach(entry => entry.discard(true));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+}
+
+/**
+ * An object was added to the scene
+ */
+export class AddObjectCommand {
+    /**
+     * @param {import('../components/viewer.js').SceneViewer} viewer
+     * @param {THREE.Object3D} object - The object, already in the scene
+     * @param {string} label - Shown in the undo/redo tooltips
+     */
+    constructor(viewer, object, label) {
+        this.viewer = viewer;
+        this.object = object;
+        this.label = label;
+        this.index = viewer.getUserObjects().indexOf(object);
+    }
+
+    undo() {
+        this.viewer.removeObject(this.object, { dispose: false });
+    }
+
+    redo() {
+        this.viewer.addObject(this.object, { index: this.index, focus: false });
+        this.viewer.select(this.object);
+    }
+
+    /**
+     * @param {boolean} undone - Whether the command was in its undone state
+     */
+    discard(undone) {
+        if (undone) this.viewer.disposeObject(this.object);
+    }
+}
+
+/**
+ * An object was deleted from the scene
+ */
+export class RemoveObjectCommand {
+    /**
+     * @param {import('../components/viewer.js').SceneViewer} viewer
+     * @param {THREE.Object3D} object - The object, already removed without disposing
+     * @param {number} index - The slot it occupied
+     * @param {string} label
+     */
+    constructor(viewer, object, index, label) {
+        this.viewer = viewer;
+        this.object = object;
+        this.index = index;
+        this.label = label;
+    }
+
+    undo() {
+        this.viewer.addObject(this.object, { index: this.index, focus: false });
+        this.viewer.select(this.object);
+    }
+
+    redo() {
+        this.viewer.removeObject(this.object, { dispose: false });
+    }
+
+    discard(undone) {
+        if (!undone) this.viewer.disposeObject(this.object);
+    }
+}
+
+/**
+ * Every object was cleared from the scene at once
+ */
+export class ClearSceneCommand {
+    /**
+     * @param {import('../components/viewer.js').SceneViewer} viewer
+     * @param {THREE.Object3D[]} objects - The objects removed, in their original order
+     */
+    constructor(viewer, objects) {
+        this.viewer = viewer;
+        this.objects = objects;
+        this.label = 'Clear scene';
+    }
+
+    undo() {
+        this.objects.forEach(object => this.viewer.addObject(object, { focus: false }));
+    }
+
+    redo() {
+        this.viewer.clearUserObjects({ dispose: false });
+    }
+
+    discard(undone) {
+        if (!undone) this.objects.forEach(object => this.viewer.disposeObject(object));
+    }
+}
+
+/**
+ * An object was swapped for a refined version of itself
+ */
+export class ReplaceObjectCommand {
+    /**
+     * @param {import('../components/viewer.js').SceneViewer} viewer
+     * @param {THREE.Object3D} oldObject - The original, already swapped out without disposing
+     * @param {THREE.Object3D} newObject - Its replacement, now in the scene
+     * @param {string} label
+     */
+    constructor(viewer, oldObject, newObject, label) {
+        this.viewer = viewer;
+        this.oldObject = oldObject;
+        this.newObject = newObject;
+        this.label = label;
+    }
+
+    undo() {
+        this.viewer.replaceObject(this.newObject, this.oldObject, { dispose: false, focus: false });
+        this.viewer.select(this.oldObject);
+    }
+
+    redo() {
+        this.viewer.replaceObject(this.oldObject, this.newObject, { dispose: false, focus: false });
+        this.viewer.select(this.newObject);
+    }
+
+    discard(undone) {
+        this.viewer.disposeObject(undone ? this.newObject : this.oldObject);
+    }
+}
+
+/**
+ * An object was moved, rotated or scaled with the gizmo
+ */
+export class TransformObjectCommand {
+    /**
+     * @param {import('../components/viewer.js').SceneViewer} viewer
+     * @param {THREE.Object3D} object
+     * @param {object} before - Transform from serialize.readTransform before the change
+     * @param {object} after - Transform after the change
+     * @param {string} label
+     */
+    constructor(viewer, object, before, after, label) {
+        this.viewer = viewer;
+        this.object = object;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+    }
+
+    undo() {
+        applyTransform(this.object, this.before);
+        this.viewer.select(this.object);
+    }
+
+    redo() {
+        applyTransform(this.object, this.after);
+        this.viewer.select(this.object);
+    }
+
+    discard() {
+        // Nothing to free: the object belongs to the scene or to another command
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Import Utilities - Turn GLB, glTF, OBJ and STL files into scene objects
+ * Imported files are data, not code, so they are parsed on the page with the
+ * stock three.js loaders rather than going through the sandbox.
+ */
+
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import * as THREE from 'three';
+
+// File extensions that can be imported, mapped to their loader below
+export const IMPORT_EXTENSIONS = ['glb', 'gltf', 'obj', 'stl'];
+
+/**
+ * @param {string} filename
+ * @returns {string|null} - Import format, or null if unsupported
+ */
+export function importFormatOf(filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    return IMPORT_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+/**
+ * Build an object from a model file's contents
+ * @param {ArrayBuffer} data - File bytes
+ * @param {string} format - One of IMPORT_EXTENSIONS
+ * @param {string} name - Original file name, used as the object's name
+ * @returns {Promise<THREE.Object3D>}
+ * @throws {Error} - If the file can't be parsed
+ */
+export async function parseModel(data, format, name) {
+    const loader = LOADERS[format];
+    if (!loader) {
+        throw new Error(`Unsupported file type: .${format}`);
+    }
+
+    let object;
+    try {
+        object = await loader(data);
+    } catch (error) {
+        throw new Error(`Could not read ${name}: ${error.message}`);
+    }
+
+    object.name = name.replace(/\.[^.]+$/, '');
+    return object;
+}
+
+const LOADERS = {
+    glb: parseGLTF,
+    gltf: parseGLTF,
+
+    async obj(data) {
+        return new OBJLoader().parse(new TextDecoder().decode(data));
+    },
+
+    async stl(data) {
+        const geometry = new STLLoader().parse(data);
+        // Some binary STLs carry per-face colors
+        const material = new THREE.MeshStandardMaterial({
+            color: geometry.hasColors ? 0xffffff : 0xb0b0b8,
+            vertexColors: Boolean(geometry.hasColors),
+            roughness: 0.6
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+};
+
+/**
+ * @param {ArrayBuffer} data
+ * @returns {Promise<THREE.Group>}
+ */
+function parseGLTF(data) {
+    return new Promise((resolve, reject) => {
+        // A .gltf must embed its buffers and textures; there is nowhere to fetch them from
+        new GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), reject);
+    });
+}
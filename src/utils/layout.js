@@ -0,0 +1,94 @@
+/**
+ * Scene Layout - Where objects sit relative to each other
+ * The model is told the bounding boxes of what is already in the scene so it
+ * can put a chair "next to the table"; placement then settles each new object
+ * on the ground and moves it clear of anything it would overlap.
+ */
+
+import * as THREE from 'three';
+
+// Most objects described to the model; the server imports this to refuse more
+export const MAX_LAYOUT_OBJECTS = 50;
+
+// Space kept between a placed object and its neighbours, in scene units
+const PLACEMENT_GAP = 0.1;
+
+// How many rings of spots around its own position are tried before giving up
+const MAX_SEARCH_RINGS = 20;
+
+/**
+ * @param {number} value
+ * @returns {number} - Rounded to centimetres, which is plenty for the model
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * World-space bounding box of an object
+ * @param {THREE.Object3D} object
+ * @returns {{min: number[], max: number[]}|null} - null if it has no geometry
+ */
+export function boundsOf(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return null;
+    return { min: box.min.toArray().map(round), max: box.max.toArray().map(round) };
+}
+
+/**
+ * Set an object on the ground (y = 0) and, if it overlaps anything there,
+ * move it to the closest free spot around where its code put it
+ * @param {THREE.Object3D} object - Not yet in the scene
+ * @param {THREE.Object3D[]} others - Objects already in the scene
+ */
+export function placeOnGround(object, others) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+
+    const lift = new THREE.Vector3(0, -box.min.y, 0);
+    object.position.add(lift);
+    box.translate(lift);
+
+    const obstacles = others
+        .map(other => new THREE.Box3().setFromObject(other))
+        .filter(other => !other.isEmpty())
+        .map(other => other.expandByScalar(PLACEMENT_GAP));
+
+    // Half the footprint per step finds gaps without testing too many spots
+    const size = box.getSize(new THREE.Vector3());
+    const step = Math.max(size.x, size.z, 0.5) / 2;
+
+    const offset = findFreeOffset(box, obstacles, step);
+    if (offset) object.position.add(offset);
+}
+
+/**
+ * Search square rings of spots around a box for one where it overlaps nothing
+ * @param {THREE.Box3} box
+ * @param {THREE.Box3[]} obstacles
+ * @param {number} step - Distance between spots
+ * @returns {THREE.Vector3|null} - Offset to the free spot, or null if the area is full
+ */
+function findFreeOffset(box, obstacles, step) {
+    const moved = new THREE.Box3();
+
+    for (let ring = 0; ring <= MAX_SEARCH_RINGS; ring++) {
+        const spots = [];
+        for (let i = -ring; i <= ring; i++) {
+            for (let j = -ring; j <= ring; j++) {
+                if (Math.max(Math.abs(i), Math.abs(j)) === ring) {
+                    spots.push(new THREE.Vector3(i * step, 0, j * step));
+                }
+            }
+        }
+        // Closest first within the ring
+        spots.sort((a, b) => a.lengthSq() - b.lengthSq());
+
+        const free = spots.find(spot => {
+            moved.copy(box).translate(spot);
+            return !obstacles.some(obstacle => obstacle.intersectsBox(moved));
+        });
+        if (free) return free;
+    }
+    return null;
+}
@@ -0,0 +1,292 @@
+/**
+ * Material Library - PBR presets and procedural textures for generated code
+ * Exposed to the sandbox as the `Materials` and `Textures` globals:
+ *
+ *   Materials.wood({ color, repeat })      Textures.checker({ colors, squares, size })
+ *   Materials.brushedMetal({ ... })        Textures.noise({ colors, scale, seed, size })
+ *   Materials.glass / rubber / fabric      Textures.bricks({ brick, mortar, rows, columns, size })
+ *                                          Textures.stripes({ colors, count, vertical, size })
+ *
+ * Textures are painted into pixel buffers (DataTexture) rather than a canvas:
+ * only data textures survive the trip out of the worker as Object3D JSON, and
+ * the exporters embed them from there. They tile seamlessly, so `repeat` can
+ * be raised freely. Preset textures are near-white detail maps; the hue comes
+ * from the material color, which keeps formats without textures (STL colors,
+ * PLY, OBJ) looking right.
+ */
+
+import * as THREE from 'three';
+import { MATERIAL_PRESETS, TEXTURE_PATTERNS } from './allowlist.js';
+
+const DEFAULT_TEXTURE_SIZE = 256;
+const MIN_TEXTURE_SIZE = 16;
+const MAX_TEXTURE_SIZE = 1024;
+
+/**
+ * Build the Textures namespace handed to generated code
+ * @param {object} budget - The run's Budget (addTexturePixels)
+ * @returns {object}
+ */
+export function createTextures(budget) {
+    const api = {};
+    TEXTURE_PATTERNS.forEach(name => {
+        const pattern = PATTERNS[name];
+        api[name] = (options = {}) => paintTexture(budget, options.size, pattern(options));
+    });
+    return Object.freeze(api);
+}
+
+/**
+ * Build the Materials namespace handed to generated code
+ * @param {object} budget - The run's Budget (addTexturePixels)
+ * @returns {object}
+ */
+export function createMaterials(budget) {
+    const api = {};
+    MATERIAL_PRESETS.forEach(name => {
+        const preset = PRESETS[name];
+        api[name] = (options = {}) => preset(budget, options);
+    });
+    return Object.freeze(api);
+}
+
+/**
+ * Material presets: each takes { color, repeat } and returns a new material
+ */
+const PRESETS = {
+    wood(budget, { color = 0x9c6b3c, repeat = 1 }) {
+        return new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.7,
+            metalness: 0,
+            map: withRepeat(paintTexture(budget, DEFAULT_TEXTURE_SIZE, woodGrain), repeat)
+        });
+    },
+
+    brushedMetal(budget, { color = 0xc0c0c8, repeat = 1 }) {
+        return new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.35,
+            metalness: 1,
+            map: withRepeat(paintTexture(budget, DEFAULT_TEXTURE_SIZE, brushedStreaks), repeat)
+        });
+    },
+
+    glass(budget, { color = 0xffffff }) {
+        return new THREE.MeshPhysicalMaterial({
+            color,
+            roughness: 0.05,
+            metalness: 0,
+            transmission: 1,
+            thickness: 0.2,
+            ior: 1.5
+        });
+    },
+
+    rubber(budget, { color = 0x222222 }) {
+        return new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.95,
+            metalness: 0
+        });
+    },
+
+    fabric(budget, { color = 0x5b6ea8, repeat = 1 }) {
+        return new THREE.MeshPhysicalMaterial({
+            color,
+            roughness: 1,
+            metalness: 0,
+            sheen: 1,
+            sheenRoughness: 0.8,
+            sheenColor: color,
+            map: withRepeat(paintTexture(budget, DEFAULT_TEXTURE_SIZE, weave), repeat)
+        });
+    }
+};
+
+/**
+ * Texture patterns: each takes its options and returns a shader (u, v) → sRGB
+ * color, with u and v in [0, 1)
+ */
+const PATTERNS = {
+    checker({ colors = [0xffffff, 0x222222], squares = 8 }) {
+        const [a, b] = toColors(colors);
+        const n = Math.max(1, Math.round(squares));
+        return (u, v) => ((Math.floor(u * n) + Math.floor(v * n)) % 2 === 0 ? a : b);
+    },
+
+    stripes({ colors = [0xffffff, 0x222222], count = 4, vertical = false }) {
+        const [a, b] = toColors(colors);
+        const pairs = Math.max(1, Math.round(count));
+        return (u, v) => (Math.floor((vertical ? u : v) * pairs * 2) % 2 === 0 ? a : b);
+    },
+
+    bricks({ brick = 0xb35a3c, mortar = 0xd8d0c0, rows = 8, columns = 4 }) {
+        const [brickColor, mortarColor] = toColors([brick, mortar]);
+        const rowCount = Math.max(1, Math.round(rows / 2) * 2); // even, so the offset rows tile
+        const columnCount = Math.max(1, Math.round(columns));
+        const joint = 0.06;
+        const shaded = new THREE.Color();
+
+        return (u, v) => {
+            const row = Math.floor(v * rowCount);
+            const x = u * columnCount + (row % 2) * 0.5;
+            const fx = x - Math.floor(x);
+            const fy = v * rowCount - row;
+            if (fx < joint * rowCount / columnCount || fy < joint) return mortarColor;
+
+            // Slightly different shade per brick
+            const column = Math.floor(x) % columnCount;
+            const variation = 0.88 + 0.24 * hash(column, row, 7);
+            return shaded.copy(brickColor).multiplyScalar(variation);
+        };
+    },
+
+    noise({ colors = [0x333333, 0xcccccc], scale = 8, seed = 1 }) {
+        const [a, b] = toColors(colors);
+        const period = Math.max(1, Math.round(scale));
+        const mixed = new THREE.Color();
+        return (u, v) => mixed.lerpColors(a, b, fbm(u, v, period, period, seed));
+    }
+};
+
+// Preset detail maps: light greys multiplied by the material color
+
+function woodGrain(u, v) {
+    const warp = fbm(u, v, 4, 4, 11) * 3;
+    // Triangle wave, so each ring fades in and out instead of ending in a hard edge
+    const rings = Math.abs(((u * 12 + warp) % 1) * 2 - 1);
+    const grain = fbm(u, v, 64, 4, 12);
+    return grey(0.72 + 0.2 * smooth(rings) + 0.08 * grain);
+}
+
+function brushedStreaks(u, v) {
+    // Long streaks along u
+    return grey(0.82 + 0.18 * fbm(u, v, 2, 256, 21));
+}
+
+function weave(u, v) {
+    const threads = 48;
+    const a = Math.floor(u * threads);
+    const b = Math.floor(v * threads);
+    const over = (a + b) % 2 === 0;
+    const across = over ? u * threads - a : v * threads - b;
+    // Each thread is brightest along its middle
+    return grey(0.75 + 0.25 * Math.sin(across * Math.PI));
+}
+
+/**
+ * Allocate and fill an RGBA data texture
+ * @param {object} budget
+ * @param {number} [size] - Width and height in pixels
+ * @param {(u: number, v: number) => THREE.Color} shade - sRGB color per texel
+ * @returns {THREE.DataTexture}
+ */
+function paintTexture(budget, size = DEFAULT_TEXTURE_SIZE, shade) {
+    const side = THREE.MathUtils.clamp(Math.round(Number(size) || DEFAULT_TEXTURE_SIZE), MIN_TEXTURE_SIZE, MAX_TEXTURE_SIZE);
+    budget.addTexturePixels(side * side);
+
+    const data = new Uint8Array(side * side * 4);
+    for (let y = 0; y < side; y++) {
+        for (let x = 0; x < side; x++) {
+            const color = shade((x + 0.5) / side, (y + 0.5) / side);
+            const offset = (y * side + x) * 4;
+            data[offset] = toByte(color.r);
+            data[offset + 1] = toByte(color.g);
+            data[offset + 2] = toByte(color.b);
+            data[offset + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, side, side, THREE.RGBAFormat);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * @param {THREE.Texture} texture
+ * @param {number} repeat - Tiles across each direction
+ * @returns {THREE.Texture}
+ */
+function withRepeat(texture, repeat) {
+    texture.repeat.setScalar(Number(repeat) > 0 ? repeat : 1);
+    return texture;
+}
+
+/**
+ * Hex colors as sRGB components, which is what the texture bytes hold
+ * @param {number[]} hexes
+ * @returns {THREE.Color[]}
+ */
+function toColors(hexes) {
+    const [first = 0xffffff, second = 0x222222] = [hexes].flat();
+    return [first, second].map(hex => new THREE.Color(hex).getRGB(new THREE.Color(), THREE.SRGBColorSpace));
+}
+
+const greyColor = new THREE.Color();
+function grey(value) {
+    greyColor.r = greyColor.g = greyColor.b = value;
+    return greyColor;
+}
+
+function toByte(channel) {
+    return Math.round(THREE.MathUtils.clamp(channel, 0, 1) * 255);
+}
+
+function smooth(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Deterministic lattice value in [0, 1)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} seed
+ * @returns {number}
+ */
+function hash(x, y, seed) {
+    let h = Math.imul(x, 374761393) + Math.imul(y, 668265263) + Math.imul(seed, 2147483647);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Tileable fractal value noise
+ * @param {number} u
+ * @param {number} v
+ * @param {number} periodU - Lattice cells across the tile at the first octave
+ * @param {number} periodV - Lattice cells down the tile at the first octave
+ * @param {number} seed
+ * @returns {number} - 0-1
+ */
+function fbm(u, v, periodU, periodV, seed) {
+    let sum = 0;
+    let weight = 0.5;
+    let total = 0;
+    for (let octave = 0; octave < 4; octave++) {
+        const cellsU = periodU << octave;
+        const cellsV = periodV << octave;
+        sum += weight * valueNoise(u * cellsU, v * cellsV, cellsU, cellsV, seed + octave);
+        total += weight;
+        weight /= 2;
+    }
+    return sum / total;
+}
+
+function valueNoise(x, y, periodX, periodY, seed) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = smooth(x - x0);
+    const ty = smooth(y - y0);
+
+    const corner = (dx, dy) => hash((x0 + dx) % periodX, (y0 + dy) % periodY, seed);
+    const top = corner(0, 0) + (corner(1, 0) - corner(0, 0)) * tx;
+    const bottom = corner(0, 1) + (corner(1, 1) - corner(0, 1)) * tx;
+    return top + (bottom - top) * ty;
+}
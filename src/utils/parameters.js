@@ -0,0 +1,303 @@
+/**
+ * Model Parameters - Tunable inputs declared by createObject code
+ *
+ * A model exposes parameters through the literal defaults of its first argument:
+ *
+ *   function createObject({ height = 2, legCount = 4, color = 0x8b5a2b, hollow = false } = {}) { ... }
+ *
+ * Types and ranges are inferred from the names and defaults (legCount is a
+ * whole number, color is a color picker). An optional top-level PARAMETERS
+ * object of literals refines them:
+ *
+ *   const PARAMETERS = { height: { min: 0.5, max: 5, step: 0.1, label: 'Height' } };
+ *
+ * The schema is read from the source, never by running it, so the page and
+ * the server agree on it before any code executes.
+ */
+
+import { parse } from 'acorn';
+import { ValidationError } from './validator.js';
+
+export const PARAMETER_TYPES = ['number', 'integer', 'color', 'boolean'];
+
+// More than this is a settings page, not a model
+const MAX_PARAMETERS = 16;
+
+const MAX_COLOR = 0xffffff;
+
+// Names of whole-number parameters, e.g. legCount, numFloors, segments
+const COUNT_NAME = /(count|segments|sides|rows|columns|floors|levels|steps|spokes|petals)$|^num[A-Z_]/i;
+
+const COLOR_NAME = /colou?r/i;
+
+const SPEC_KEYS = new Set(['type', 'label', 'min', 'max', 'step', 'default']);
+
+/**
+ * Read the parameter schema declared by createObject code
+ * @param {string} code - Code that has already passed validateCode()
+ * @returns {Array<{name: string, label: string, type: string, min?: number, max?: number, step?: number, default: number|boolean}>}
+ * @throws {ValidationError} - If PARAMETERS is malformed
+ */
+export function readParameterSchema(code) {
+    const ast = parse(code, { ecmaVersion: 2022, sourceType: 'script', locations: true });
+
+    // Step 1: Literal defaults destructured by createObject
+    const createObject = ast.body.find(node =>
+        node.type === 'FunctionDeclaration' && node.id.name === 'createObject'
+    );
+    const defaults = readDefaults(createObject?.params[0]);
+
+    // Step 2: Explicit specs from a top-level PARAMETERS object
+    const specs = readSpecs(findParametersDeclaration(ast));
+
+    // Step 3: Merge, keeping declaration order
+    const names = [...new Set([...defaults.keys(), ...specs.keys()])];
+    if (names.length > MAX_PARAMETERS) {
+        throw new ValidationError(`Too many parameters (${MAX_PARAMETERS} max)`);
+    }
+
+    return names.map(name => buildEntry(name, defaults.get(name), specs.get(name)));
+}
+
+/**
+ * Clamp requested values into the schema, falling back to defaults
+ * @param {Array<object>} schema - From readParameterSchema()
+ * @param {object} [requested] - Values by parameter name; unknown names are ignored
+ * @returns {object} - A value for every parameter
+ */
+export function resolveParameterValues(schema, requested = {}) {
+    const values = {};
+    schema.forEach((entry) => {
+        const value = requested?.[entry.name];
+        values[entry.name] = isValidValue(entry, value) ? coerceValue(entry, value) : entry.default;
+    });
+    return values;
+}
+
+/**
+ * @param {object} entry - Schema entry
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidValue(entry, value) {
+    return entry.type === 'boolean' ? typeof value === 'boolean' : Number.isFinite(value);
+}
+
+/**
+ * @param {object} entry - Schema entry
+ * @param {number|boolean} value - Already of the right kind
+ * @returns {number|boolean}
+ */
+function coerceValue(entry, value) {
+    switch (entry.type) {
+        case 'boolean':
+            return value;
+        case 'color':
+            return Math.min(Math.max(Math.round(value), 0), MAX_COLOR);
+        case 'integer':
+            return Math.min(Math.max(Math.round(value), entry.min), entry.max);
+        default:
+            return Math.min(Math.max(value, entry.min), entry.max);
+    }
+}
+
+/**
+ * @param {object|undefined} param - createObject's first parameter node
+ * @returns {Map<string, number|boolean>} - Literal defaults by name
+ */
+function readDefaults(param) {
+    const defaults = new Map();
+    const pattern = param?.type === 'AssignmentPattern' ? param.left : param;
+    if (pattern?.type !== 'ObjectPattern') return defaults;
+
+    pattern.properties.forEach((property) => {
+        // Only plain `name = literal`; anything computed stays internal to the code
+        if (property.type !== 'Property' || property.computed) return;
+        if (property.key.type !== 'Identifier' || property.value.type !== 'AssignmentPattern') return;
+        if (property.value.left.type !== 'Identifier' || property.value.left.name !== property.key.name) return;
+
+        const value = literalValue(property.value.right);
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            defaults.set(property.key.name, value);
+        }
+    });
+    return defaults;
+}
+
+/**
+ * @param {object} ast - Program node
+ * @returns {object|null} - The PARAMETERS declarator, if any
+ */
+function findParametersDeclaration(ast) {
+    for (const statement of ast.body) {
+        if (statement.type !== 'VariableDeclaration') continue;
+        const declarator = statement.declarations.find(decl =>
+            decl.id.type === 'Identifier' && decl.id.name === 'PARAMETERS'
+        );
+        if (declarator) return declarator;
+    }
+    return null;
+}
+
+/**
+ * @param {object|null} declarator
+ * @returns {Map<string, object>} - Spec objects by name
+ * @throws {ValidationError}
+ */
+function readSpecs(declarator) {
+    const specs = new Map();
+    if (!declarator) return specs;
+
+    const fail = (message, node) => {
+        throw new ValidationError(message, { line: node.loc.start.line, column: node.loc.start.column + 1 });
+    };
+
+    if (declarator.init?.type !== 'ObjectExpression') {
+        fail('PARAMETERS must be an object literal', declarator);
+    }
+
+    declarator.init.properties.forEach((property) => {
+        if (property.type !== 'Property' || property.computed || property.key.type !== 'Identifier') {
+            fail('PARAMETERS keys must be plain parameter names', property);
+        }
+        const name = property.key.name;
+        if (property.value.type !== 'ObjectExpression') {
+            fail(`PARAMETERS.${name} must be an object literal`, property.value);
+        }
+
+        const spec = {};
+        property.value.properties.forEach((field) => {
+            const key = field.type === 'Property' && !field.computed ? field.key.name ?? field.key.value : null;
+            if (!SPEC_KEYS.has(key)) {
+                fail(`PARAMETERS.${name} may only set ${[...SPEC_KEYS].join(', ')}`, field);
+            }
+            const value = literalValue(field.value);
+            if (value === undefined) {
+                fail(`PARAMETERS.${name}.${key} must be a literal`, field.value);
+            }
+            spec[key] = value;
+        });
+
+        try {
+            checkSpec(spec);
+        } catch (error) {
+            fail(`PARAMETERS.${name}: ${error.message}`, property);
+        }
+        specs.set(name, spec);
+    });
+
+    return specs;
+}
+
+/**
+ * @param {object} spec - Fields of one PARAMETERS entry
+ * @throws {Error}
+ */
+function checkSpec({ type, label, min, max, step }) {
+    if (type !== undefined && !PARAMETER_TYPES.includes(type)) {
+        throw new Error(`type must be one of ${PARAMETER_TYPES.join(', ')}`);
+    }
+    if (label !== undefined && typeof label !== 'string') {
+        throw new Error('label must be a string');
+    }
+    [['min', min], ['max', max], ['step', step]].forEach(([key, value]) => {
+        if (value !== undefined && !Number.isFinite(value)) {
+            throw new Error(`${key} must be a number`);
+        }
+    });
+    if (min !== undefined && max !== undefined && min >= max) {
+        throw new Error('min must be less than max');
+    }
+    if (step !== undefined && step <= 0) {
+        throw new Error('step must be positive');
+    }
+}
+
+/**
+ * Combine a destructured default and an explicit spec into a schema entry
+ * @param {string} name
+ * @param {number|boolean|undefined} codeDefault
+ * @param {object} [spec]
+ * @returns {object}
+ * @throws {ValidationError}
+ */
+function buildEntry(name, codeDefault, spec = {}) {
+    const fallback = spec.default ?? codeDefault;
+    const type = spec.type ?? inferType(name, fallback);
+    const label = spec.label ?? humanize(name);
+
+    if (fallback === undefined) {
+        throw new ValidationError(`PARAMETERS.${name} needs a default, either here or in createObject's arguments`);
+    }
+    if (typeof fallback !== (type === 'boolean' ? 'boolean' : 'number')) {
+        throw new ValidationError(`PARAMETERS.${name} default does not match its type (${type})`);
+    }
+
+    if (type === 'boolean') {
+        return { name, label, type, default: fallback };
+    }
+    if (type === 'color') {
+        return { name, label, type, default: coerceValue({ type }, fallback) };
+    }
+
+    // Default range: from zero (one for counts, or as far below a negative
+    // default) up to three times the default
+    const span = Math.abs(fallback) * 2 || (type === 'integer' ? 10 : 1);
+    const floor = type === 'integer' && fallback >= 1 ? 1 : 0;
+    const min = spec.min ?? (fallback >= 0 ? floor : fallback - span);
+    const max = spec.max ?? Math.max(fallback + span, min + 1);
+    if (min >= max) {
+        throw new ValidationError(`PARAMETERS.${name}: min must be less than max`);
+    }
+    const step = type === 'integer'
+        ? Math.max(1, Math.round(spec.step ?? 1))
+        : spec.step ?? niceStep(max - min);
+
+    const entry = { name, label, type, min, max, step, default: fallback };
+    entry.default = coerceValue(entry, fallback);
+    return entry;
+}
+
+/**
+ * @param {string} name
+ * @param {number|boolean} value
+ * @returns {string}
+ */
+function inferType(name, value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (COLOR_NAME.test(name) && Number.isInteger(value) && value >= 0 && value <= MAX_COLOR) return 'color';
+    return COUNT_NAME.test(name) && Number.isInteger(value) ? 'integer' : 'number';
+}
+
+/**
+ * Slider step giving roughly a hundred positions across a range
+ * @param {number} range
+ * @returns {number}
+ */
+function niceStep(range) {
+    return 10 ** Math.floor(Math.log10(range / 100));
+}
+
+/**
+ * @param {string} name - e.g. 'legCount'
+ * @returns {string} - e.g. 'Leg count'
+ */
+function humanize(name) {
+    const words = name.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @param {object} node
+ * @returns {number|string|boolean|undefined} - undefined unless the node is a literal
+ */
+function literalValue(node) {
+    if (node.type === 'Literal' && ['number', 'string', 'boolean'].includes(typeof node.value)) {
+        return node.value;
+    }
+    if (node.type === 'UnaryExpression' && (node.operator === '-' || node.operator === '+')) {
+        const value = literalValue(node.argument);
+        if (typeof value === 'number') return node.operator === '-' ? -value : value;
+    }
+    return undefined;
+}
@@ -0,0 +1,157 @@
+/**
+ * Project Files - The portable `.forge.json` format
+ *
+ *   {
+ *     format: 'forge-project', version: 1, savedAt, name,
+ *     objects: [{ id, code | asset, prompt, parameters?, transform, nodes }],
+ *     chat:    { messages: [...], history: [...] },
+ *     camera:  { position, target, fov },
+ *     viewer:  { transformMode, showGrid, background },
+ *     assets:  [{ id, format, name, data }]   // imported files, base64
+ *   }
+ *
+ * Objects are stored as code, never as geometry: opening a file always
+ * re-runs that code through the sandbox. Imported models travel as their
+ * original file and are re-parsed on open.
+ */
+
+export const FORGE_FORMAT = 'forge-project';
+export const FORGE_VERSION = 1;
+export const FORGE_EXTENSION = '.forge.json';
+
+/**
+ * Upgrades keyed by the version they start from; each returns the file at
+ * version + 1. Add an entry here whenever FORGE_VERSION goes up.
+ * @type {Object<number, (file: object) => object>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Assemble a project file from the current session
+ * @param {object} session
+ * @param {string} session.name
+ * @param {object[]} session.objects - describeObject() output
+ * @param {object[]} session.messages - Chat transcript
+ * @param {object[]} session.history - Turns sent to the model
+ * @param {object} session.camera - SceneViewer.getCameraPose()
+ * @param {object} session.viewer - SceneViewer.getSettings()
+ * @param {Array<{id: string, format: string, name: string, data: ArrayBuffer}>} [session.assets]
+ * @returns {object}
+ */
+export function createProjectFile({ name, objects, messages, history, camera, viewer, assets = [] }) {
+    return {
+        format: FORGE_FORMAT,
+        version: FORGE_VERSION,
+        savedAt: new Date().toISOString(),
+        name,
+        objects,
+        chat: { messages, history },
+        camera,
+        viewer,
+        assets: assets.map(({ data, ...asset }) => ({ ...asset, data: toBase64(data) }))
+    };
+}
+
+/**
+ * Read a project file, upgrading older versions
+ * @param {string} text - File contents
+ * @returns {object} - The file at FORGE_VERSION, with asset data as ArrayBuffers
+ * @throws {Error} - If it isn't a project file or can't be upgraded
+ */
+export function parseProjectFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (file?.format !== FORGE_FORMAT || !Number.isInteger(file.version)) {
+        throw new Error('This is not a 3D Forge project file');
+    }
+    if (file.version > FORGE_VERSION) {
+        throw new Error(`This file is from a newer version of 3D Forge (format ${file.version}); update to open it`);
+    }
+
+    file = migrateProjectFile(file);
+    validateProjectFile(file);
+
+    return {
+        ...file,
+        assets: file.assets.map(asset => ({ ...asset, data: fromBase64(asset.data) }))
+    };
+}
+
+/**
+ * Run every migration between the file's version and FORGE_VERSION
+ * @param {object} file
+ * @returns {object}
+ */
+export function migrateProjectFile(file) {
+    let current = file;
+    while (current.version < FORGE_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (!migrate) {
+            throw new Error(`No upgrade from project format ${current.version}`);
+        }
+        current = migrate(current);
+    }
+    return current;
+}
+
+/**
+ * Check the shape of a current-version file; the server re-validates objects
+ * and chat when the project is saved
+ * @param {object} file
+ * @throws {Error}
+ */
+function validateProjectFile(file) {
+    const isTriple = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+    if (!Array.isArray(file.objects)) {
+        throw new Error('Project file has no objects list');
+    }
+    if (!Array.isArray(file.chat?.messages) || !Array.isArray(file.chat?.history)) {
+        throw new Error('Project file has no chat history');
+    }
+    if (!Array.isArray(file.assets)) {
+        throw new Error('Project file has no assets list');
+    }
+    if (file.camera && (!isTriple(file.camera.position) || !isTriple(file.camera.target))) {
+        throw new Error('Project file has an invalid camera pose');
+    }
+
+    const assetIds = new Set(file.assets.map(asset => asset.id));
+    file.objects.forEach((object, index) => {
+        if (typeof object.code !== 'string' && !assetIds.has(object.asset?.id)) {
+            throw new Error(`Object ${index + 1} has neither code nor an embedded file`);
+        }
+    });
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked: spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
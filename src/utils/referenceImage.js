@@ -0,0 +1,76 @@
+/**
+ * Reference Images - Prepare a sketch or photo to send with a prompt
+ * Images are scaled down on the page before upload: vision models see little
+ * detail beyond about a thousand pixels, and a small JPEG thumbnail is what
+ * the chat transcript (and so the saved project) keeps.
+ */
+
+// Formats accepted by the server, see server/images.js
+export const REFERENCE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Longest side of the image sent to the model, and of the transcript thumbnail
+const MAX_IMAGE_SIDE = 1024;
+const THUMBNAIL_SIDE = 160;
+
+/**
+ * @param {File|Blob} file - Picked, pasted or dropped image
+ * @param {object} options
+ * @param {number} options.maxBytes - Largest image the server accepts
+ * @returns {Promise<{dataUrl: string, thumbnail: string}>} - Both as data URLs
+ * @throws {Error} - If the file isn't a supported image or is still too large
+ */
+export async function prepareReferenceImage(file, { maxBytes }) {
+    if (!REFERENCE_IMAGE_TYPES.includes(file.type)) {
+        throw new Error(`${file.name || 'That file'} is not a PNG, JPEG, WebP or GIF image`);
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch {
+        throw new Error(`${file.name || 'That image'} could not be read`);
+    }
+
+    try {
+        // Sketches keep their crisp lines as PNG; photos compress far better as JPEG
+        const dataUrl = encode(bitmap, MAX_IMAGE_SIDE, file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+        if (dataUrlBytes(dataUrl) > maxBytes) {
+            throw new Error(`That image is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit even after resizing`);
+        }
+        return { dataUrl, thumbnail: encode(bitmap, THUMBNAIL_SIDE, 'image/jpeg') };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Draw a bitmap no larger than a given side and encode it
+ * @param {ImageBitmap} bitmap
+ * @param {number} maxSide - Longest side in pixels
+ * @param {string} type - 'image/png' or 'image/jpeg'
+ * @returns {string} - Data URL
+ */
+function encode(bitmap, maxSide, type) {
+    const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const context = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+        // JPEG has no alpha; transparent areas would otherwise turn black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL(type, 0.85);
+}
+
+/**
+ * @param {string} dataUrl - base64 data URL
+ * @returns {number} - Decoded size in bytes
+ */
+function dataUrlBytes(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    return Math.floor(base64.length * 3 / 4);
+}
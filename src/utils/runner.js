@@ -0,0 +1,220 @@
+/**
+ * Code Runner - Validates and executes createObject code against resource limits
+ * SECURITY CRITICAL: Runs inside the sandbox worker, never on the page's main thread
+ */
+
+import * as THREE from 'three';
+import { validateCode, sandboxKey, ValidationError, KEY_GUARD } from './validator.js';
+import { ALLOWED_THREE_MEMBERS, DEFAULT_LIMITS, FROZEN_GLOBALS } from './allowlist.js';
+import { SandboxError } from './errors.js';
+import { createCSG } from './csg.js';
+import { createMaterials, createTextures } from './materialLibrary.js';
+import { readParameterSchema, resolveParameterValues } from './parameters.js';
+import { readAnimationSettings, bakeAnimation } from './animation.js';
+
+/**
+ * Tracks how much geometry a run has allocated
+ */
+class Budget {
+    constructor(limits) {
+        this.limits = limits;
+        this.vertices = 0;
+        this.meshes = 0;
+        this.texturePixels = 0;
+    }
+
+    addVertices(count) {
+        this.vertices += count;
+        if (this.vertices > this.limits.maxVertices) {
+            throw new Error(`Vertex limit exceeded (${this.limits.maxVertices.toLocaleString('en-US')} max). Use fewer segments or simpler shapes`);
+        }
+    }
+
+    addMesh() {
+        this.meshes += 1;
+        if (this.meshes > this.limits.maxMeshes) {
+            throw new Error(`Mesh limit exceeded (${this.limits.maxMeshes} max). Merge parts or use fewer meshes`);
+        }
+    }
+
+    addTexturePixels(count) {
+        this.texturePixels += count;
+        if (this.texturePixels > this.limits.maxTexturePixels) {
+            throw new Error(`Texture limit exceeded (${this.limits.maxTexturePixels.toLocaleString('en-US')} pixels max). Use fewer or smaller textures`);
+        }
+    }
+}
+
+/**
+ * Vertices in a finished object tree, each geometry counted once however many
+ * meshes share it. Copies made with clone() or toNonIndexed() never pass through
+ * the guarded constructors, so this is what holds the vertex budget.
+ * @param {THREE.Object3D} object
+ * @returns {number}
+ */
+function countVertices(object) {
+    const geometries = new Set();
+    // The prototype's traverse, in case the generated code replaced the object's own
+    THREE.Object3D.prototype.traverse.call(object, (child) => {
+        if (child.geometry instanceof THREE.BufferGeometry) geometries.add(child.geometry);
+    });
+
+    let total = 0;
+    geometries.forEach((geometry) => {
+        total += geometry.getAttribute('position')?.count ?? 0;
+    });
+    return total;
+}
+
+/**
+ * Frozen stand-in for a global object, so generated code that reaches it
+ * through an alias (`const M = Math; M.random = ...`) cannot change the real
+ * one, which the reused worker and THREE itself depend on
+ * @param {object|Function} original - Math, or a constructor such as Number
+ * @returns {object|Function}
+ */
+function freezeCopy(original) {
+    let copy = {};
+    if (typeof original === 'function') {
+        // Callable and constructible like the original; instanceof still works
+        copy = function (...args) {
+            return new.target ? Reflect.construct(original, args, new.target) : original(...args);
+        };
+        copy.prototype = original.prototype;
+    }
+
+    Object.entries(Object.getOwnPropertyDescriptors(original)).forEach(([key, descriptor]) => {
+        if (!Object.hasOwn(copy, key)) {
+            Object.defineProperty(copy, key, descriptor);
+        }
+    });
+    return Object.freeze(copy);
+}
+
+// Passed in place of the globals of the same name
+const GLOBAL_COPIES = Object.fromEntries(
+    [...FROZEN_GLOBALS].map(name => [name, freezeCopy(globalThis[name])])
+);
+
+/**
+ * Build the THREE namespace handed to generated code: only allowlisted
+ * members, with geometry and mesh constructors charged against the budget
+ * @param {Budget} budget
+ * @returns {object}
+ */
+function createGuardedThree(budget) {
+    const api = {};
+
+    ALLOWED_THREE_MEMBERS.forEach(name => {
+        const member = THREE[name];
+
+        if (member?.prototype instanceof THREE.BufferGeometry) {
+            api[name] = class extends member {
+                constructor(...args) {
+                    super(...args);
+                    budget.addVertices(this.attributes.position?.count ?? 0);
+                }
+            };
+        } else if (member === THREE.Mesh || member?.prototype instanceof THREE.Mesh) {
+            api[name] = class extends member {
+                constructor(...args) {
+                    super(...args);
+                    budget.addMesh();
+                }
+            };
+        } else {
+            api[name] = member;
+        }
+    });
+
+    return Object.freeze(api);
+}
+
+/**
+ * Validate and execute createObject code
+ * @param {string} codeString - The Three.js code to execute
+ * @param {object} [options]
+ * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @param {object} [options.parameters] - Values for the code's declared parameters;
+ *     missing or out-of-range values fall back to or are clamped into the schema
+ * @returns {THREE.Object3D} - The created 3D object, with userData.parameterSchema
+ *     and userData.parameters set when the code declares parameters, and its
+ *     baked clip in animations when the code defines animate()
+ * @throws {SandboxError} - If code is invalid, fails, or exceeds a limit
+ */
+export function runCreateObject(codeString, { limits = {}, parameters = {} } = {}) {
+    // Step 1: Parse and check against the allowlist, then read the parameter
+    // schema and animation settings
+    let instrumentedCode;
+    let schema;
+    let animation;
+    try {
+        instrumentedCode = validateCode(codeString);
+        schema = readParameterSchema(codeString);
+        animation = readAnimationSettings(codeString);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw new SandboxError(`Validation failed: ${error.message}`, error);
+        }
+        throw error;
+    }
+
+    const budget = new Budget({ ...DEFAULT_LIMITS, ...limits });
+    // Code without parameters is still called with no argument, as it expects
+    const values = schema.length > 0 ? resolveParameterValues(schema, parameters) : null;
+
+    try {
+        // Step 2: Create a controlled execution environment
+        // THREE, the helper libraries, the computed-key guard and the parameter
+        // values are the only injected names (__ names are reserved by the validator),
+        // and frozen copies shadow the mutable globals
+        const createObjectFn = new Function('THREE', 'CSG', 'Materials', 'Textures', KEY_GUARD, '__parameters', ...Object.keys(GLOBAL_COPIES), `
+            "use strict";
+            ${instrumentedCode}
+            return [__parameters ? createObject(__parameters) : createObject(), ${animation ? 'animate' : 'null'}];
+        `);
+
+        // Step 3: Execute with only the guarded THREE and helpers available
+        const [result, animate] = createObjectFn(
+            createGuardedThree(budget),
+            createCSG(budget),
+            createMaterials(budget),
+            createTextures(budget),
+            sandboxKey,
+            values && { ...values },
+            ...Object.values(GLOBAL_COPIES)
+        );
+
+        // Step 4: Validate result type
+        if (!result) {
+            throw new Error('createObject() returned null or undefined');
+        }
+
+        if (!(result instanceof THREE.Object3D)) {
+            throw new Error(`Expected THREE.Object3D but got ${result.constructor?.name || typeof result}`);
+        }
+
+        // Step 5: Check what was actually built against the vertex budget
+        const vertices = countVertices(result);
+        if (vertices > budget.limits.maxVertices) {
+            throw new Error(`Vertex limit exceeded (${vertices.toLocaleString('en-US')} in the finished object, ${budget.limits.maxVertices.toLocaleString('en-US')} max). Use fewer segments, copies or simpler shapes`);
+        }
+
+        if (values) {
+            result.userData.parameterSchema = schema;
+            result.userData.parameters = values;
+        }
+
+        // Step 6: Play animate() through once and keep the motion as keyframes
+        if (animation) {
+            const clip = bakeAnimation(result, animate, animation, budget.limits.maxAnimationKeys);
+            if (clip) result.animations = [clip];
+        }
+
+        return result;
+
+    } catch (error) {
+        // Re-throw with more context
+        throw new SandboxError(`Code execution failed: ${error?.message ?? String(error)}`);
+    }
+}
@@ -1,103 +1,111 @@
 /**
  * Code Sandbox - Safe execution of AI-generated Three.js code
- * SECURITY CRITICAL: This module validates and executes code safely
+ * SECURITY CRITICAL: Code runs in a dedicated worker with a wall-clock timeout
+ * and geometry caps; only the serialized object graph comes back to the page.
  */
 
 import * as THREE from 'three';
+import { SandboxError } from './errors.js';
+import { DEFAULT_LIMITS } from './allowlist.js';
 
-// Forbidden patterns that indicate unsafe code
-const FORBIDDEN_PATTERNS = [
-    /\bfetch\s*\(/i,
-    /\beval\s*\(/i,
-    /\bFunction\s*\(/i,
-    /\bdocument\s*\./i,
-    /\bwindow\s*\./i,
-    /\bimport\s+/i,
-    /\brequire\s*\(/i,
-    /\blocalStorage\b/i,
-    /\bsessionStorage\b/i,
-    /\bcookie\b/i,
-    /\bXMLHttpRequest\b/i,
-    /\bWebSocket\b/i,
-    /\bworker\b/i,
-    /\bsetTimeout\s*\(/i,
-    /\bsetInterval\s*\(/i,
-    /\b__proto__\b/i,
-    /\bprototype\b/i,
-    /\bconstructor\s*\[/i,
-];
+export { SandboxError };
+
+let worker = null;
+let nextJobId = 1;
+const pendingJobs = new Map();
 
 /**
- * Validates code for security issues
- * @param {string} code - The code to validate
- * @returns {{valid: boolean, error: string|null}}
+ * Start the worker on first use (or after a timeout killed it)
+ * @returns {Worker}
  */
-function validateCode(code) {
-    for (const pattern of FORBIDDEN_PATTERNS) {
-        if (pattern.test(code)) {
-            return {
-                valid: false,
-                error: `Security violation: Forbidden pattern detected (${pattern.source})`
-            };
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL('../workers/sandbox.worker.js', import.meta.url), { type: 'module' });
+
+    worker.addEventListener('message', (event) => {
+        const { id, json, error } = event.data;
+        const job = pendingJobs.get(id);
+        if (!job) return;
+
+        if (error) {
+            job.reject(new SandboxError(error.message, error));
+        } else {
+            job.resolve(json);
         }
-    }
+    });
 
-    // Check for createObject function
-    if (!code.includes('function createObject')) {
-        return {
-            valid: false,
-            error: 'Code must contain a "function createObject()" definition'
-        };
-    }
+    // A crash (e.g. out of memory) takes every job in flight with it
+    worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        resetWorker(new SandboxError(`Sandbox crashed: ${event.message || 'unknown error'}`));
+    });
 
-    return { valid: true, error: null };
+    return worker;
 }
 
 /**
- * Executes validated Three.js code in a controlled environment
- * @param {string} codeString - The Three.js code to execute
- * @returns {THREE.Object3D} - The created 3D object
- * @throws {Error} - If code is invalid or execution fails
+ * Kill the worker and fail any jobs still waiting on it
+ * @param {Error} reason - Error given to pending jobs
  */
-export function executeThreeJSCode(codeString) {
-    // Step 1: Validate code
-    const validation = validateCode(codeString);
-    if (!validation.valid) {
-        throw new Error(validation.error);
+function resetWorker(reason) {
+    if (worker) {
+        worker.terminate();
+        worker = null;
     }
+    pendingJobs.forEach(job => job.reject(reason));
+    pendingJobs.clear();
+}
 
-    try {
-        // Step 2: Create a controlled execution environment
-        // We provide only THREE as a global, nothing else
-        const createObjectFn = new Function('THREE', `
-            "use strict";
-            ${codeString}
-            if (typeof createObject !== 'function') {
-                throw new Error('createObject function not found');
+/**
+ * Send code to the worker and wait for its Object3D JSON
+ * @param {string} code - createObject code
+ * @param {object} limits - Resource limits
+ * @param {object} parameters - Values for the code's declared parameters
+ * @returns {Promise<object>}
+ */
+function runInWorker(code, limits, parameters) {
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+
+        const timer = setTimeout(() => {
+            // Terminating is the only way to stop a runaway loop
+            resetWorker(new SandboxError(`Code execution failed: timed out after ${limits.timeoutMs} ms`));
+        }, limits.timeoutMs);
+
+        pendingJobs.set(id, {
+            resolve: (json) => {
+                clearTimeout(timer);
+                pendingJobs.delete(id);
+                resolve(json);
+            },
+            reject: (error) => {
+                clearTimeout(timer);
+                pendingJobs.delete(id);
+                reject(error);
             }
-            return createObject();
-        `);
+        });
 
-        // Step 3: Execute with only THREE available
-        const result = createObjectFn(THREE);
-
-        // Step 4: Validate result type
-        if (!result) {
-            throw new Error('createObject() returned null or undefined');
-        }
-
-        if (!(result instanceof THREE.Object3D)) {
-            throw new Error(`Expected THREE.Object3D but got ${result.constructor?.name || typeof result}`);
-        }
+        getWorker().postMessage({ id, code, limits, parameters });
+    });
+}
 
-        return result;
+/**
+ * Executes validated Three.js code in the sandbox worker
+ * @param {string} codeString - The Three.js code to execute
+ * @param {object} [options]
+ * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @param {object} [options.parameters] - Values for the code's declared parameters
+ * @returns {Promise<THREE.Object3D>} - The created 3D object, rebuilt from JSON
+ * @throws {SandboxError} - If code is invalid, fails, times out, or exceeds a limit
+ */
+export async function executeThreeJSCode(codeString, { limits = {}, parameters = {} } = {}) {
+    const json = await runInWorker(codeString, { ...DEFAULT_LIMITS, ...limits }, parameters);
 
+    try {
+        return new THREE.ObjectLoader().parse(json);
     } catch (error) {
-        // Re-throw with more context
-        if (error.message.includes('Security violation')) {
-            throw error;
-        }
-        throw new Error(`Code execution failed: ${error.message}`);
+        throw new SandboxError(`Could not rebuild the generated object: ${error.message}`);
     }
 }
 
@@ -0,0 +1,115 @@
+/**
+ * Scene Serialization - Plain-JSON descriptions of user objects
+ * Generated objects are stored as the code that made them, its parameter
+ * values and their root transform, never as geometry, so reloading always goes back through the
+ * sandbox. Imported objects refer to their uploaded file instead of code.
+ */
+
+/**
+ * Describe a user object for saving
+ * @param {THREE.Object3D} object - An object created from generated code
+ * @returns {{id: string, code?: string, asset?: object, prompt: string, parameters?: object, transform: object, nodes: object[]}}
+ */
+export function describeObject(object) {
+    const { objectId, sourceCode, asset, prompt, parameters, nodeOverrides = {} } = object.userData;
+    return {
+        id: objectId,
+        code: sourceCode,
+        asset,
+        prompt: prompt ?? '',
+        parameters,
+        transform: readTransform(object),
+        nodes: Object.entries(nodeOverrides).map(([key, changes]) => ({
+            path: key ? key.split('/').map(Number) : [],
+            ...changes
+        }))
+    };
+}
+
+/**
+ * Child-index path from a user object down to one of its nodes.
+ * Code always builds the same hierarchy, so paths survive a rebuild.
+ * @param {THREE.Object3D} root - The user object
+ * @param {THREE.Object3D} node - The root itself or one of its descendants
+ * @returns {number[]}
+ */
+export function nodePath(root, node) {
+    const path = [];
+    for (let current = node; current !== root; current = current.parent) {
+        path.unshift(current.parent.children.indexOf(current));
+    }
+    return path;
+}
+
+/**
+ * Rename or show/hide a node and remember it so saves and rebuilds keep the change
+ * @param {THREE.Object3D} root - The user object that owns the node
+ * @param {THREE.Object3D} node
+ * @param {{name?: string, visible?: boolean}} changes
+ */
+export function setNodeOverride(root, node, changes) {
+    const key = nodePath(root, node).join('/');
+    const overrides = root.userData.nodeOverrides ?? {};
+
+    overrides[key] = { ...overrides[key], ...changes };
+    root.userData.nodeOverrides = overrides;
+
+    if (changes.name !== undefined) node.name = changes.name;
+    if (changes.visible !== undefined) node.visible = changes.visible;
+}
+
+/**
+ * Re-apply saved renames and visibility to a freshly built object.
+ * Paths that no longer exist (e.g. the code changed) are dropped.
+ * @param {THREE.Object3D} root
+ * @param {Array<{path: number[], name?: string, visible?: boolean}>} [nodes]
+ */
+export function applyNodeOverrides(root, nodes = []) {
+    nodes.forEach(({ path, ...changes }) => {
+        let node = root;
+        for (const index of path) {
+            node = node?.children[index];
+        }
+        if (node) setNodeOverride(root, node, changes);
+    });
+}
+
+/**
+ * @param {THREE.Object3D} object
+ * @returns {{position: number[], rotation: number[], scale: number[]}}
+ */
+export function readTransform(object) {
+    const { position, rotation, scale } = object;
+    return {
+        position: [position.x, position.y, position.z],
+        rotation: [rotation.x, rotation.y, rotation.z],
+        scale: [scale.x, scale.y, scale.z]
+    };
+}
+
+/**
+ * @param {THREE.Object3D} object
+ * @param {{position: number[], rotation: number[], scale: number[]}} transform
+ */
+export function applyTransform(object, { position, rotation, scale }) {
+    object.position.fromArray(position);
+    object.rotation.set(rotation[0], rotation[1], rotation[2]);
+    object.scale.fromArray(scale);
+}
+
+/**
+ * Attach the bookkeeping every user object carries
+ * @param {THREE.Object3D} object
+ * @param {object} meta
+ * @param {string} [meta.code] - createObject code it was built from
+ * @param {{id: string, format: string, name: string}} [meta.asset] - Uploaded file it
+ *     was imported from, for objects that have no code
+ * @param {string} [meta.prompt] - Prompt that produced the code
+ * @param {string} [meta.id] - Existing id to keep (e.g. after a refinement)
+ */
+export function tagObject(object, { code, asset, prompt = '', id = crypto.randomUUID() }) {
+    object.userData.objectId = id;
+    object.userData.sourceCode = code;
+    object.userData.asset = asset;
+    object.userData.prompt = prompt;
+}
@@ -0,0 +1,608 @@
+/**
+ * Code Validator - Parses AI-generated code and checks it against an allowlist
+ * SECURITY CRITICAL: Anything not explicitly allowed here is rejected.
+ *
+ * Rules enforced:
+ * - Only the syntax handled in VISITORS is accepted
+ * - Free identifiers must be in ALLOWED_GLOBALS; `this` is never allowed
+ * - THREE may only appear as `THREE.<member>` with an allowlisted member
+ * - Only local variables (and properties reached through them) may be assigned,
+ *   and the FROZEN_GLOBALS cannot be stored in one to get around that
+ * - Property names in BLOCKED_PROPERTIES are rejected; computed keys are
+ *   checked at runtime through a guard inserted around the key expression
+ */
+
+import { parse } from 'acorn';
+import {
+    ALLOWED_GLOBALS,
+    ALLOWED_THREE_MEMBERS,
+    BLOCKED_PROPERTIES,
+    FROZEN_GLOBALS
+} from './allowlist.js';
+
+// Name of the runtime guard wrapped around computed property keys
+export const KEY_GUARD = '__sandboxKey';
+
+const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**='
+]);
+
+const BINARY_OPERATORS = new Set([
+    '+', '-', '*', '/', '%', '**',
+    '==', '!=', '===', '!==', '<', '<=', '>', '>=',
+    '&', '|', '^', '<<', '>>', '>>>'
+]);
+
+const UNARY_OPERATORS = new Set(['-', '+', '!', '~', 'typeof']);
+
+/**
+ * Raised for code that fails to parse or uses disallowed syntax or names
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} message - What was rejected
+     * @param {{line: number, column: number}|null} loc - 1-based position in the source
+     */
+    constructor(message, loc = null) {
+        super(loc ? `Line ${loc.line}, column ${loc.column}: ${message}` : message);
+        this.name = 'ValidationError';
+        this.line = loc?.line ?? null;
+        this.column = loc?.column ?? null;
+    }
+}
+
+/**
+ * Lexical scope used to tell local declarations from free identifiers
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.names = new Set();
+    }
+
+    declare(name) {
+        this.names.add(name);
+    }
+
+    has(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.names.has(name)) return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * Validate generated code and return it instrumented for execution
+ * @param {string} code - The code to validate
+ * @returns {string} - Code with computed property keys wrapped in KEY_GUARD
+ * @throws {ValidationError} - With the line and column of the first problem
+ */
+export function validateCode(code) {
+    let ast;
+    try {
+        ast = parse(code, {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            locations: true
+        });
+    } catch (error) {
+        const loc = error.loc ? { line: error.loc.line, column: error.loc.column + 1 } : null;
+        throw new ValidationError(`Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`, loc);
+    }
+
+    const hasCreateObject = ast.body.some(node =>
+        node.type === 'FunctionDeclaration' && node.id.name === 'createObject'
+    );
+    if (!hasCreateObject) {
+        throw new ValidationError('Code must contain a top-level "function createObject()" definition');
+    }
+
+    const validator = new Validator();
+    validator.visitProgram(ast);
+
+    return instrument(code, validator.guardedKeys);
+}
+
+/**
+ * Wrap each computed key expression in a call to KEY_GUARD
+ * @param {string} code - Original source
+ * @param {Array<{start: number, end: number}>} ranges - Key expression ranges
+ * @returns {string}
+ */
+function instrument(code, ranges) {
+    const edits = [];
+    ranges.forEach(({ start, end }) => {
+        edits.push({ pos: end, text: ')' });
+        edits.push({ pos: start, text: `${KEY_GUARD}(` });
+    });
+
+    // Apply from the end so earlier offsets stay valid
+    edits.sort((a, b) => b.pos - a.pos);
+
+    let result = code;
+    edits.forEach(({ pos, text }) => {
+        result = result.slice(0, pos) + text + result.slice(pos);
+    });
+    return result;
+}
+
+/**
+ * Walks the AST, tracking scopes and collecting computed keys to guard
+ */
+class Validator {
+    constructor() {
+        this.scope = null;
+        this.guardedKeys = [];
+    }
+
+    fail(node, message) {
+        throw new ValidationError(message, {
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1
+        });
+    }
+
+    visitProgram(program) {
+        this.scope = new Scope();
+        this.hoistFunctionScope(program.body);
+        this.declareBlock(program.body);
+        program.body.forEach(statement => this.visit(statement));
+    }
+
+    visit(node) {
+        if (!node) return;
+        const visitor = VISITORS[node.type];
+        if (!visitor) {
+            this.fail(node, `${describeNodeType(node.type)} is not allowed`);
+        }
+        visitor.call(this, node);
+    }
+
+    visitAll(nodes) {
+        nodes.forEach(node => this.visit(node));
+    }
+
+    /**
+     * Run a callback inside a new scope
+     */
+    withScope(callback) {
+        const parent = this.scope;
+        this.scope = new Scope(parent);
+        try {
+            callback();
+        } finally {
+            this.scope = parent;
+        }
+    }
+
+    /**
+     * Declare `var` names anywhere in a function body (but not nested functions)
+     */
+    hoistFunctionScope(statements) {
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string') return;
+            if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+                node.declarations.forEach(decl => this.declarePattern(decl.id));
+            }
+            if (isFunctionNode(node)) return;
+            for (const key of Object.keys(node)) {
+                const value = node[key];
+                if (Array.isArray(value)) value.forEach(visit);
+                else if (value && typeof value.type === 'string') visit(value);
+            }
+        };
+        statements.forEach(visit);
+    }
+
+    /**
+     * Declare let/const and function declarations directly inside a block
+     */
+    declareBlock(statements) {
+        statements.forEach(statement => {
+            if (statement.type === 'FunctionDeclaration') {
+                this.checkBinding(statement.id);
+                this.scope.declare(statement.id.name);
+            } else if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+                statement.declarations.forEach(decl => this.declarePattern(decl.id));
+            }
+        });
+    }
+
+    /**
+     * Declare every name bound by a (possibly destructuring) pattern
+     */
+    declarePattern(pattern) {
+        switch (pattern.type) {
+            case 'Identifier':
+                this.checkBinding(pattern);
+                this.scope.declare(pattern.name);
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(prop => {
+                    this.declarePattern(prop.type === 'RestElement' ? prop.argument : prop.value);
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => element && this.declarePattern(element));
+                break;
+            case 'AssignmentPattern':
+                this.declarePattern(pattern.left);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument);
+                break;
+            default:
+                this.fail(pattern, `${describeNodeType(pattern.type)} is not allowed in a declaration`);
+        }
+    }
+
+    /**
+     * Reject bindings that would shadow the sandbox's own names
+     */
+    checkBinding(identifier) {
+        if (identifier.name.startsWith('__') || identifier.name === 'THREE') {
+            this.fail(identifier, `Declaring "${identifier.name}" is not allowed`);
+        }
+    }
+
+    /**
+     * Check a pattern's defaults and keys without declaring anything
+     */
+    visitPattern(pattern) {
+        switch (pattern.type) {
+            case 'Identifier':
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(prop => {
+                    if (prop.type === 'RestElement') {
+                        this.visitPattern(prop.argument);
+                        return;
+                    }
+                    this.checkPropertyKey(prop);
+                    this.visitPattern(prop.value);
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => element && this.visitPattern(element));
+                break;
+            case 'AssignmentPattern':
+                this.visitPattern(pattern.left);
+                this.visit(pattern.right);
+                break;
+            case 'RestElement':
+                this.visitPattern(pattern.argument);
+                break;
+            default:
+                this.visit(pattern);
+        }
+    }
+
+    /**
+     * Object literal and destructuring keys must be plain, non-blocked names
+     */
+    checkPropertyKey(property) {
+        if (property.computed) {
+            this.fail(property.key, 'Computed property keys are not allowed');
+        }
+        const name = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        if (BLOCKED_PROPERTIES.has(name)) {
+            this.fail(property.key, `Property "${name}" is not allowed`);
+        }
+    }
+
+    /**
+     * Assignment targets must be rooted in a local variable so generated
+     * code cannot overwrite globals such as Math.random
+     */
+    checkAssignTarget(target) {
+        switch (target.type) {
+            case 'Identifier':
+                if (!this.scope.has(target.name)) {
+                    this.fail(target, `Assigning to "${target.name}" is not allowed`);
+                }
+                break;
+            case 'MemberExpression': {
+                let root = target;
+                while (root.type === 'MemberExpression') root = root.object;
+                if (root.type !== 'Identifier' || !this.scope.has(root.name)) {
+                    this.fail(target, 'Only local variables and their properties can be assigned');
+                }
+                this.visit(target);
+                break;
+            }
+            case 'ObjectPattern':
+                target.properties.forEach(prop => {
+                    if (prop.type === 'RestElement') {
+                        this.checkAssignTarget(prop.argument);
+                        return;
+                    }
+                    this.checkPropertyKey(prop);
+                    this.checkAssignTarget(prop.value);
+                });
+                break;
+            case 'ArrayPattern':
+                target.elements.forEach(element => element && this.checkAssignTarget(element));
+                break;
+            case 'AssignmentPattern':
+                this.checkAssignTarget(target.left);
+                this.visit(target.right);
+                break;
+            case 'RestElement':
+                this.checkAssignTarget(target.argument);
+                break;
+            default:
+                this.fail(target, `${describeNodeType(target.type)} cannot be assigned`);
+        }
+    }
+
+    /**
+     * Reject storing a global such as Math in a variable or property, where
+     * assigning through it would reach the global itself
+     */
+    checkAliasedGlobal(value) {
+        if (value?.type === 'Identifier' && !this.scope.has(value.name) && FROZEN_GLOBALS.has(value.name)) {
+            this.fail(value, `Storing "${value.name}" is not allowed; use ${value.name}.<member> directly`);
+        }
+    }
+
+    visitFunction(node) {
+        if (node.async || node.generator) {
+            this.fail(node, 'Async and generator functions are not allowed');
+        }
+
+        this.withScope(() => {
+            // Named function expressions can refer to themselves
+            if (node.type === 'FunctionExpression' && node.id) {
+                this.checkBinding(node.id);
+                this.scope.declare(node.id.name);
+            }
+
+            node.params.forEach(param => this.declarePattern(param));
+            node.params.forEach(param => this.visitPattern(param));
+
+            if (node.body.type === 'BlockStatement') {
+                this.hoistFunctionScope(node.body.body);
+                this.declareBlock(node.body.body);
+                this.visitAll(node.body.body);
+            } else {
+                this.visit(node.body);
+            }
+        });
+    }
+
+    visitLoop(node, parts) {
+        this.withScope(() => {
+            const head = node.init || node.left;
+            if (head?.type === 'VariableDeclaration' && head.kind !== 'var') {
+                head.declarations.forEach(decl => this.declarePattern(decl.id));
+            }
+            parts.forEach(part => this.visit(node[part]));
+        });
+    }
+}
+
+const VISITORS = {
+    // Declarations
+    FunctionDeclaration(node) {
+        this.visitFunction(node);
+    },
+    VariableDeclaration(node) {
+        node.declarations.forEach(decl => this.visit(decl));
+    },
+    VariableDeclarator(node) {
+        this.visitPattern(node.id);
+        this.checkAliasedGlobal(node.init);
+        this.visit(node.init);
+    },
+
+    // Statements
+    BlockStatement(node) {
+        this.withScope(() => {
+            this.declareBlock(node.body);
+            this.visitAll(node.body);
+        });
+    },
+    EmptyStatement() { },
+    ExpressionStatement(node) {
+        this.visit(node.expression);
+    },
+    ReturnStatement(node) {
+        this.visit(node.argument);
+    },
+    IfStatement(node) {
+        this.visit(node.test);
+        this.visit(node.consequent);
+        this.visit(node.alternate);
+    },
+    SwitchStatement(node) {
+        this.visit(node.discriminant);
+        this.withScope(() => {
+            node.cases.forEach(switchCase => this.declareBlock(switchCase.consequent));
+            node.cases.forEach(switchCase => {
+                this.visit(switchCase.test);
+                this.visitAll(switchCase.consequent);
+            });
+        });
+    },
+    ForStatement(node) {
+        this.visitLoop(node, ['init', 'test', 'update', 'body']);
+    },
+    ForOfStatement(node) {
+        if (node.left.type !== 'VariableDeclaration') {
+            this.visit(node.right);
+            this.checkAssignTarget(node.left);
+            this.visit(node.body);
+            return;
+        }
+        this.visitLoop(node, ['left', 'right', 'body']);
+    },
+    WhileStatement(node) {
+        this.visit(node.test);
+        this.visit(node.body);
+    },
+    DoWhileStatement(node) {
+        this.visit(node.body);
+        this.visit(node.test);
+    },
+    BreakStatement(node) {
+        if (node.label) this.fail(node, 'Labels are not allowed');
+    },
+    ContinueStatement(node) {
+        if (node.label) this.fail(node, 'Labels are not allowed');
+    },
+    ThrowStatement(node) {
+        this.visit(node.argument);
+    },
+
+    // Expressions
+    Identifier(node) {
+        if (this.scope.has(node.name)) return;
+
+        if (node.name === 'THREE') {
+            this.fail(node, 'THREE may only be used as THREE.<member>');
+        }
+        if (!ALLOWED_GLOBALS.has(node.name)) {
+            this.fail(node, `Identifier "${node.name}" is not allowed`);
+        }
+    },
+    Literal(node) {
+        if (node.regex) this.fail(node, 'Regular expressions are not allowed');
+        if (node.bigint) this.fail(node, 'BigInt literals are not allowed');
+    },
+    TemplateLiteral(node) {
+        this.visitAll(node.expressions);
+    },
+    ArrayExpression(node) {
+        node.elements.forEach(element => this.visit(element));
+    },
+    ObjectExpression(node) {
+        node.properties.forEach(prop => {
+            if (prop.type === 'SpreadElement') {
+                this.visit(prop.argument);
+                return;
+            }
+            if (prop.kind !== 'init') {
+                this.fail(prop, 'Getters and setters are not allowed');
+            }
+            this.checkPropertyKey(prop);
+            this.visit(prop.value);
+        });
+    },
+    SpreadElement(node) {
+        this.visit(node.argument);
+    },
+    FunctionExpression(node) {
+        this.visitFunction(node);
+    },
+    ArrowFunctionExpression(node) {
+        this.visitFunction(node);
+    },
+    UnaryExpression(node) {
+        if (!UNARY_OPERATORS.has(node.operator)) {
+            this.fail(node, `Operator "${node.operator}" is not allowed`);
+        }
+        this.visit(node.argument);
+    },
+    UpdateExpression(node) {
+        this.checkAssignTarget(node.argument);
+    },
+    BinaryExpression(node) {
+        if (!BINARY_OPERATORS.has(node.operator)) {
+            this.fail(node, `Operator "${node.operator}" is not allowed`);
+        }
+        this.visit(node.left);
+        this.visit(node.right);
+    },
+    LogicalExpression(node) {
+        this.visit(node.left);
+        this.visit(node.right);
+    },
+    AssignmentExpression(node) {
+        if (!ASSIGNMENT_OPERATORS.has(node.operator)) {
+            this.fail(node, `Operator "${node.operator}" is not allowed`);
+        }
+        this.checkAssignTarget(node.left);
+        this.checkAliasedGlobal(node.right);
+        this.visit(node.right);
+    },
+    ConditionalExpression(node) {
+        this.visit(node.test);
+        this.visit(node.consequent);
+        this.visit(node.alternate);
+    },
+    SequenceExpression(node) {
+        this.visitAll(node.expressions);
+    },
+    CallExpression(node) {
+        this.visit(node.callee);
+        this.visitAll(node.arguments);
+    },
+    NewExpression(node) {
+        this.visit(node.callee);
+        this.visitAll(node.arguments);
+    },
+    ChainExpression(node) {
+        this.visit(node.expression);
+    },
+    MemberExpression(node) {
+        // THREE cannot be redeclared (see checkBinding), so this is always the namespace
+        const isThree = node.object.type === 'Identifier' && node.object.name === 'THREE';
+
+        if (isThree) {
+            if (node.computed) {
+                this.fail(node.property, 'THREE members must be accessed by name (THREE.Member)');
+            }
+            if (!ALLOWED_THREE_MEMBERS.has(node.property.name)) {
+                this.fail(node.property, `THREE.${node.property.name} is not allowed`);
+            }
+            return;
+        }
+
+        this.visit(node.object);
+
+        if (!node.computed) {
+            if (BLOCKED_PROPERTIES.has(node.property.name)) {
+                this.fail(node.property, `Property "${node.property.name}" is not allowed`);
+            }
+            return;
+        }
+
+        // Plain numeric indices are safe; anything else is checked at runtime
+        if (node.property.type === 'Literal' && typeof node.property.value === 'number') {
+            return;
+        }
+        if (node.property.type === 'Literal' && BLOCKED_PROPERTIES.has(String(node.property.value))) {
+            this.fail(node.property, `Property "${node.property.value}" is not allowed`);
+        }
+
+        this.visit(node.property);
+        this.guardedKeys.push({ start: node.property.start, end: node.property.end });
+    }
+};
+
+/**
+ * Runtime guard for computed property keys (`obj[key]`)
+ * @param {*} key - The evaluated key
+ * @returns {number|string}
+ */
+export function sandboxKey(key) {
+    if (typeof key === 'number') return key;
+    if (typeof key === 'string' && !BLOCKED_PROPERTIES.has(key)) return key;
+    throw new TypeError(`Property key ${typeof key === 'string' ? `"${key}"` : typeof key} is not allowed`);
+}
+
+function isFunctionNode(node) {
+    return node.type === 'FunctionDeclaration'
+        || node.type === 'FunctionExpression'
+        || node.type === 'ArrowFunctionExpression';
+}
+
+/**
+ * Turn an ESTree node type into readable text ("ThisExpression" → "this expression")
+ */
+function describeNodeType(type) {
+    if (type === 'ThisExpression') return '"this"';
+    const words = type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
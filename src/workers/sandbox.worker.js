@@ -0,0 +1,29 @@
+/**
+ * Sandbox Worker - Runs AI-generated code away from the page
+ * Receives { id, code, limits, parameters } and replies with the object as Object3D JSON
+ * or with the error that stopped it.
+ */
+
+import { runCreateObject } from '../utils/runner.js';
+
+self.addEventListener('message', (event) => {
+    const { id, code, limits, parameters } = event.data;
+
+    try {
+        const object = runCreateObject(code, { limits, parameters });
+
+        // toJSON writes local matrices, which are only refreshed on render
+        object.updateMatrixWorld(true);
+        self.postMessage({ id, json: object.toJSON() });
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: {
+                name: error.name,
+                message: error.message,
+                line: error.line ?? null,
+                column: error.column ?? null
+            }
+        });
+    }
+});